@@ -246,7 +246,7 @@ function rawLTToVertices(rawLT, indexName, multBy, vertexNoData) {
   var distDir;
   if (indexName !== undefined && indexName !== null) {
     try {
-      distDir = getImagesLib.changeDirDict[indexName];
+      distDir = getImagesLib.getChangeDirection(indexName);
     } catch (err) {
       distDir = -1;
     }
@@ -633,7 +633,7 @@ function runLANDTRENDR(ts, bandName, run_params) {
   ts = ts.select([bandName]);
   var distDir;
   try {
-    distDir = getImagesLib.changeDirDict[bandName];
+    distDir = getImagesLib.getChangeDirection(bandName);
   } catch (err) {
     distDir = -1;
   }
@@ -663,29 +663,30 @@ function LTLossGainExportPrep(lossGainDict, indexName, multBy) {
   var lossStack = lossGainDict["lossStack"];
   var gainStack = lossGainDict["gainStack"];
 
+  // Continuous bands are stored as int16 if they are scaled by 10000, otherwise as float
+  // This is used for both the casting and the encoding schema below
+  var continuousDataType = Math.abs(multBy) === 10000 ? "int16" : "float";
+  function castContinuous(img) {
+    return continuousDataType === "int16" ? img.int16() : img.float();
+  }
+
   // Convert to byte to save space
   var lossThematic = lossStack
     .select([".*_yr_.*"])
     .int16()
     .addBands(lossStack.select([".*_dur_.*"]).byte());
-  var lossContinuous = lossStack
-    .select([".*_mag_.*", ".*_slope_.*"])
-    .multiply(multBy);
-  if (Math.abs(multBy) === 10000) {
-    lossContinuous = lossContinuous.int16();
-  }
+  var lossContinuous = castContinuous(
+    lossStack.select([".*_mag_.*", ".*_slope_.*"]).multiply(multBy)
+  );
   lossStack = lossThematic.addBands(lossContinuous);
 
   var gainThematic = gainStack
     .select([".*_yr_.*"])
     .int16()
     .addBands(gainStack.select([".*_dur_.*"]).byte());
-  var gainContinuous = gainStack
-    .select([".*_mag_.*", ".*_slope_.*"])
-    .multiply(multBy);
-  if (Math.abs(multBy) === 10000) {
-    gainContinuous = gainContinuous.int16();
-  }
+  var gainContinuous = castContinuous(
+    gainStack.select([".*_mag_.*", ".*_slope_.*"]).multiply(multBy)
+  );
 
   gainStack = gainThematic.addBands(gainContinuous);
   var outStack = lossStack.addBands(gainStack);
@@ -695,7 +696,15 @@ function LTLossGainExportPrep(lossGainDict, indexName, multBy) {
   var outBns = bns.map(function (bn) {
     return ee.String(indexName).cat("_LT_").cat(bn);
   });
-  return outStack.rename(outBns);
+
+  // Record how each band was encoded so it can be restored with getImagesLib.decodeImage after import
+  var continuousEncoding = { scale: multBy, dataType: continuousDataType };
+  return getImagesLib.setEncodingSchema(outStack.rename(outBns), {
+    ".default": { dataType: "int16" },
+    ".*_dur_.*": { dataType: "byte", noData: 255 },
+    ".*_mag_.*": continuousEncoding,
+    ".*_slope_.*": continuousEncoding,
+  });
 }
 /////////////////////////////////////////////////////
 // Pulled from simpleLANDTRENDR below to take prepped (must run LTLossGainExportPrep first) lossGain stack and view it
@@ -873,7 +882,7 @@ function simpleLANDTRENDR(
   var lt = runLANDTRENDR(ts, indexName, run_params);
   var distDir;
   try {
-    distDir = getImagesLib.changeDirDict[indexName];
+    distDir = getImagesLib.getChangeDirection(indexName);
   } catch (err) {
     distDir = -1;
   }
@@ -938,7 +947,7 @@ function prepTimeSeriesForLandTrendr(ts, indexName, run_params) {
 
   //Get single band time series and set its direction so that a loss in veg is going up
   ts = ts.select([indexName]);
-  var distDir = getImagesLib.changeDirDict[indexName];
+  var distDir = getImagesLib.getChangeDirection(indexName);
   var tsT = ts.map(function (img) {
     return multBands(img, 1, distDir);
   });
@@ -989,7 +998,7 @@ function LANDTRENDRVertStack(
   // Undo distDir change done in prepTimeSeriesForLandTrendr()
   ltStack = applyDistDir_vertStack(
     ltStack,
-    getImagesLib.changeDirDict[indexName],
+    getImagesLib.getChangeDirection(indexName),
     "landtrendr"
   );
 
@@ -1092,7 +1101,7 @@ function LT_VT_multBands(img, multBy) {
 // Function to apply the Direction of  a decrease in photosynthetic vegetation to Landtrendr or Verdet vertStack format
 // img = vertStack image for one band, e.g. "NBR"
 // verdet_or_landtrendr = 'verdet' or 'landtrendr'
-// distDir = from getImagesLib.changeDirDict
+// distDir = from getImagesLib.getChangeDirection
 function applyDistDir_vertStack(stack, distDir, verdet_or_landtrendr) {
   var years = stack.select("yrs.*");
   var fitted = stack.select("fit.*").multiply(distDir);
@@ -1813,6 +1822,167 @@ function applyLinearInterp(composites, nYearsInterpolate) {
   return outDict;
 }
 
+///////////////////////////////////////////////////////////////////////////////
+//        Gap filling of composite collections
+// Values of the filledFlag band for each gap filling method
+// 0 is an observed (not filled) value
+var gapFillFlagDict = { linear: 1, harmonic: 2, landtrendr: 3 };
+
+// Function to get LandTrendr fitted values for every year of a composite collection
+// Returns a collection with the fitted value of each of the fillBands for each composite
+function getLandTrendrFittedCollection(composites, fillBands, run_params) {
+  var startYear = ee
+    .Date(composites.first().get("system:time_start"))
+    .get("year");
+  var endYear = ee
+    .Date(
+      composites
+        .sort("system:time_start", false)
+        .first()
+        .get("system:time_start")
+    )
+    .get("year");
+
+  // Fit each band separately so each gets its own segmentation
+  var bandFits = fillBands.map(function (bn) {
+    var run_paramsT = {};
+    Object.keys(run_params).map(function (k) {
+      run_paramsT[k] = run_params[k];
+    });
+    var prepDict = prepTimeSeriesForLandTrendr(composites, bn, run_paramsT);
+    var rawLt = ee.Algorithms.TemporalSegmentation.LandTrendr(
+      prepDict.run_params
+    );
+    var ltStack = getLTvertStack(rawLt.select([0]), run_paramsT);
+    // Undo the direction change done in prepTimeSeriesForLandTrendr()
+    return fitStackToCollection(
+      ltStack,
+      run_paramsT.maxSegments,
+      startYear,
+      endYear
+    ).map(function (img) {
+      return img
+        .select(["fitted"])
+        .multiply(prepDict.distDir)
+        .updateMask(prepDict.runMask)
+        .rename([bn])
+        .copyProperties(img, ["system:time_start"]);
+    });
+  });
+
+  // Match the fitted values to each composite
+  return composites.map(function (img) {
+    var yr = ee.Date(img.get("system:time_start")).get("year");
+    var fitted = bandFits.map(function (bandFit) {
+      return ee.Image(
+        bandFit.filter(ee.Filter.calendarRange(yr, yr, "year")).first()
+      );
+    });
+    return ee.Image.cat(fitted).copyProperties(img, ["system:time_start"]);
+  });
+}
+
+// Function to fill gaps (pixels/years with no data) in a composite collection
+// fillMethods are applied in order, with each only filling gaps that are left by the previous methods
+// linear: linear interpolation between the closest years with data within nYearsInterpolate
+// harmonic: prediction using synthImage from a harmonic model fit to the scenes (required)
+// landtrendr: LandTrendr fitted values (using run_params)
+// The fillBands are filled and a filledFlag band (see gapFillFlagDict) is added
+// Any other bands (e.g. indices) are not filled and should be recomputed from the filled bands
+function fillCompositeGaps(
+  composites,
+  fillBands,
+  fillMethods,
+  nYearsInterpolate,
+  scenes,
+  whichHarmonics,
+  run_params
+) {
+  if (fillBands === undefined || fillBands === null) {
+    fillBands = ["blue", "green", "red", "nir", "swir1", "swir2"];
+  }
+  if (fillMethods === undefined || fillMethods === null) {
+    fillMethods = ["linear"];
+  }
+  if (nYearsInterpolate === undefined || nYearsInterpolate === null) {
+    nYearsInterpolate = 1;
+  }
+  if (whichHarmonics === undefined || whichHarmonics === null) {
+    whichHarmonics = [2];
+  }
+  run_params = run_params || default_lt_run_params;
+
+  // Get the candidate fill values for each method
+  var candidates = fillMethods.map(function (fillMethod) {
+    if (fillMethod === "linear") {
+      return linearInterp(
+        composites.select(fillBands),
+        365 * nYearsInterpolate,
+        -32768
+      );
+    } else if (fillMethod === "harmonic") {
+      if (scenes === undefined || scenes === null) {
+        throw new Error(
+          "fillCompositeGaps: scenes must be provided for harmonic gap filling"
+        );
+      }
+      var coeffs = getImagesLib.getHarmonicCoefficientsAndFit(
+        scenes,
+        fillBands,
+        whichHarmonics,
+        true
+      )[0];
+      return composites.map(function (img) {
+        var d = ee.Date(img.get("system:time_start"));
+        var dateImage = ee.Image(d.get("year").add(d.getFraction("year")));
+        return getImagesLib
+          .synthImage(coeffs, dateImage, fillBands, whichHarmonics, true)
+          .copyProperties(img, ["system:time_start"]);
+      });
+    } else if (fillMethod === "landtrendr") {
+      return getLandTrendrFittedCollection(composites, fillBands, run_params);
+    } else {
+      throw new Error(
+        "fillCompositeGaps: unknown fillMethod " +
+          fillMethod +
+          ". Options are: " +
+          Object.keys(gapFillFlagDict).join(", ")
+      );
+    }
+  });
+
+  return composites.map(function (img) {
+    var filled = img.select(fillBands);
+    var filledFlag = ee
+      .Image(0)
+      .updateMask(filled.mask().reduce(ee.Reducer.min()))
+      .byte();
+
+    fillMethods.map(function (fillMethod, i) {
+      var candidate = ee
+        .Image(
+          candidates[i]
+            .filter(
+              ee.Filter.eq("system:time_start", img.get("system:time_start"))
+            )
+            .first()
+        )
+        .select(fillBands);
+      var isGap = filled.mask().reduce(ee.Reducer.min()).not();
+      var fillMask = isGap.and(candidate.mask().reduce(ee.Reducer.min()));
+      filled = filled.unmask(candidate.updateMask(fillMask), false);
+      filledFlag = filledFlag.unmask(
+        ee.Image(gapFillFlagDict[fillMethod]).byte().updateMask(fillMask),
+        false
+      );
+    });
+
+    return img
+      .addBands(filled, null, true)
+      .addBands(filledFlag.rename(["filledFlag"]));
+  });
+}
+
 //----------------------------------------------------------------------------------------------------
 //        Verdet Functions
 //----------------------------------------------------------------------------------------------------
@@ -1820,7 +1990,7 @@ function applyLinearInterp(composites, nYearsInterpolate) {
 // Multiply by a predetermined factor beforehand and divide after
 // Add 1 before and subtract 1 after
 function applyVerdetScaling(ts, indexName, correctionFactor) {
-  var distDir = getImagesLib.changeDirDict[indexName];
+  var distDir = getImagesLib.getChangeDirection(indexName);
   var tsT = ts.map(function (img) {
     return ee.Image(multBands(img, 1, -distDir));
   }); // Apply change in direction first
@@ -1834,7 +2004,7 @@ function applyVerdetScaling(ts, indexName, correctionFactor) {
 }
 
 function undoVerdetScaling(fitted, indexName, correctionFactor) {
-  var distDir = getImagesLib.changeDirDict[indexName];
+  var distDir = getImagesLib.getChangeDirection(indexName);
   fitted = ee.Image(multBands(fitted, 1, 1.0 / correctionFactor)); // Undo scaling first.
   fitted = ee.Image(addToImage(fitted, -1)); // Undo getting rid of negatives
   fitted = ee.Image(multBands(fitted, 1, -distDir)); // Finally, undo change in direction
@@ -3628,6 +3798,9 @@ exports.LANDTRENDRFitMagSlopeDiffCollection =
 exports.multiBandLANDTRENDRFitMagSlopeDiffCollection =
   multiBandLANDTRENDRFitMagSlopeDiffCollection;
 exports.applyLinearInterp = applyLinearInterp;
+exports.gapFillFlagDict = gapFillFlagDict;
+exports.getLandTrendrFittedCollection = getLandTrendrFittedCollection;
+exports.fillCompositeGaps = fillCompositeGaps;
 exports.updateVerdetMasks = updateVerdetMasks;
 exports.VERDETVertStack = VERDETVertStack;
 exports.VERDETFitMagSlopeDiffCollection = VERDETFitMagSlopeDiffCollection;
@@ -93,7 +93,7 @@ if (bandNames === null){
 bandNames.map(function(bandName){
   // Do basic change detection with raw LT output
   var ltt = lt.filter(ee.Filter.eq(bandPropertyName, bandName)).mosaic();
-  ltt = cdl.multLT(ltt, cdl.changeDirDict[bandName] * 0.0001);
+  ltt = cdl.multLT(ltt, gil.getChangeDirection(bandName) * 0.0001);
 
   var lossMagThresh = -0.15;
   var lossSlopeThresh = -0.1;
@@ -0,0 +1,123 @@
+/*
+   Copyright 2025 Ian Housman
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// Example of how to split a large study area into a processing grid and run a wrapper once per tile
+// Each tile gets its own export names, and runs can be resumed by passing back the completed tiles
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+// Module imports
+var gil = require('users/rcr-training/geeViz-js:getImagesLib.js');
+var cdl = require('users/rcr-training/geeViz-js:changeDetectionLib.js');
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Define user parameters:
+
+// Specify study area: Study area
+// Can be a featureCollection, feature, or geometry
+var studyArea = gil.testAreas.CA;
+
+// Projection the tiles are snapped to. Can be a key of gil.common_projections or a {crs, transform} object
+var projection = "NLCD_CONUS";
+
+// Tile size in pixels of the projection (3000 30m pixels = 90km)
+var tileSizePixels = 1000;
+
+// Optionally provide your own tile polygons instead (e.g. an existing tiling scheme)
+// and the property to use as the tile id
+var tiles = null;
+var tileIDProperty = null;
+
+// Buffer in meters added around each tile for processing so focal operations
+// such as sieve and cloud shadow projection have context at tile edges
+// Composites are still clipped to the unbuffered tile for export
+var overlap = 3000;
+
+// Tiles that have already been run. Paste the printed completed tiles here to resume a run
+var completedTiles = [];
+
+// Maximum number of tiles to run at once (null to run all remaining tiles)
+var maxTiles = 4;
+
+// Whether to export the composites of each tile
+var exportComposites = false;
+
+// Set up Names for the export. The tile id is appended to this
+var outputName = "Landsat-Tile";
+
+// Provide location composites will be exported to
+var exportPathRoot = "users/username/someCollection";
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// End user parameters
+////////////////////////////////////////////////////////////////////////////////////////////////////
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Start function calls
+////////////////////////////////////////////////////////////////////////////////////////////////////
+var processingGrid = gil.getProcessingGrid({
+  studyArea: studyArea,
+  projection: projection,
+  tileSizePixels: tileSizePixels,
+  tiles: tiles,
+  tileIDProperty: tileIDProperty
+});
+Map.addLayer(processingGrid, {color: 'FF0000'}, "Processing Grid", false);
+
+// Run the Landsat wrapper for each tile
+// The tiles are run once their ids are listed. Provide a callback to use the outputs of each tile
+var batch = gil.batchRunTiles({
+  wrapper: gil.getLandsatWrapper,
+  wrapperArgs: {
+    startYear: 2020,
+    endYear: 2022,
+    startJulian: 152,
+    endJulian: 273,
+    exportComposites: exportComposites,
+    outputName: outputName,
+    exportPathRoot: exportPathRoot,
+    crs: gil.common_projections[projection].crs,
+    transform: gil.common_projections[projection].transform,
+    scale: null
+  },
+  processingGrid: processingGrid,
+  overlap: overlap,
+  completedTiles: completedTiles,
+  maxTiles: maxTiles
+});
+
+// Functions with positional arguments (e.g. simpleLANDTRENDR or a CCDC run) can be run by passing a function
+// that takes the tile (tileID, studyArea, and exportArea) instead of wrapperArgs
+// var ltBatch = gil.batchRunTiles({
+//   wrapper: function(tile) {
+//     var composites = gil.getLandsatWrapper({
+//       studyArea: tile.studyArea,
+//       startYear: 1984,
+//       endYear: 2023,
+//       startJulian: 152,
+//       endJulian: 273
+//     }).processedComposites;
+//     var ltOut = cdl.simpleLANDTRENDR(composites, 1984, 2023, "NBR");
+//     Export.image.toAsset(ltOut[1].clip(tile.exportArea), "LT-" + tile.tileID, exportPathRoot + "/LT-" + tile.tileID, {".default": "sample"}, null, tile.exportArea, null, gil.common_projections[projection].crs, gil.common_projections[projection].transform, 1e13);
+//     return ltOut;
+//   },
+//   processingGrid: processingGrid,
+//   overlap: overlap,
+//   completedTiles: completedTiles,
+//   maxTiles: maxTiles
+// });
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Load the study region
+Map.addLayer(studyArea, {color: '0000FF'}, "Study Area", false);
+Map.centerObject(studyArea);
+////////////////////////////////////////////////////////////////////////////////////////////////////
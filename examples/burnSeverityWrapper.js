@@ -0,0 +1,84 @@
+/*
+   Copyright 2025 Ian Housman
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// Example of how to compute burn severity (dNBR, RdNBR, RBR, dNBR2) from pre and post-fire composites
+// Fires can either be provided as a featureCollection of perimeters with an ignition date property
+// or as a single fire date and study area
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+// Module imports
+var gil = require('users/rcr-training/geeViz-js:getImagesLib.js');
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Define user parameters:
+
+// Fire perimeters
+// MTBS perimeters have the ignition date in Ig_Date and a unique id in Event_ID
+var fires = ee.FeatureCollection('USFS/GTAC/MTBS/burned_area_boundaries/v1')
+  .filter(ee.Filter.eq('Incid_Name', 'CREEK'))
+  .filter(ee.Filter.calendarRange(2020, 2020, 'year'));
+
+// Assessment type. Options are "initial", "extended", and "oneYear"
+var assessmentType = "extended";
+
+// Season used for the pre and post-fire composites of initial and extended assessments
+var startJulian = 152;
+var endJulian = 273;
+
+// Metric used to classify severity. Options are "dNBR", "RdNBR", "RBR", and "dNBR2"
+// dNBR2 has no standard thresholds, so severityThresholds must be provided to use it
+var severityMetric = "RdNBR";
+
+// Whether to offset dNBR using unburned pixels surrounding each perimeter
+var applyOffset = true;
+var offsetBufferDistance = 1000;
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// End user parameters
+////////////////////////////////////////////////////////////////////////////////////////////////////
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Start function calls
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Get scenes covering the year before and after the fires
+var studyArea = fires.geometry().bounds().buffer(offsetBufferDistance);
+var processedScenes = gil.getProcessedLandsatScenes({
+  studyArea: studyArea,
+  startYear: 2019,
+  endYear: 2021,
+  startJulian: 1,
+  endJulian: 365,
+  toaOrSR: "SR"
+});
+
+var burnSeverityArgs = gil.getBurnSeverityWrapper({
+  scenes: processedScenes,
+  fires: fires,
+  assessmentType: assessmentType,
+  startJulian: startJulian,
+  endJulian: endJulian,
+  severityMetric: severityMetric,
+  applyOffset: applyOffset,
+  offsetBufferDistance: offsetBufferDistance
+});
+
+var burnSeverity = burnSeverityArgs.burnSeverity;
+Map.addLayer(burnSeverity.select(["dNBR"]).mosaic(), {min: -100, max: 1000, palette: '1a9850,ffffbf,d73027'}, "dNBR", false);
+Map.addLayer(burnSeverity.select(["burnSeverity"]).mosaic(), {min: 1, max: 5, palette: '006400,7fffd4,ffff00,ff0000,7fff00'}, "Burn Severity");
+print("Burn severity summaries", burnSeverityArgs.burnSeveritySummaries);
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Load the fire perimeters
+Map.addLayer(fires, {color: '0000FF'}, "Fire Perimeters", false);
+Map.centerObject(fires);
+////////////////////////////////////////////////////////////////////////////////////////////////////
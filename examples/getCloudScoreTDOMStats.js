@@ -0,0 +1,130 @@
+/*
+   Copyright 2025 Ian Housman
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// Example of how to compute cloudScore offset and TDOM stats for any study area
+// These stats can then be provided to the wrapper functions instead of computing them on the fly
+// This is useful outside of CONUS where no pre-computed stats are available, or when short date ranges are used
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+// Module imports
+var gil = require('users/rcr-training/geeViz-js:getImagesLib.js');
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Define user parameters:
+
+// Specify study area: Study area
+// Can be a featureCollection, feature, or geometry
+var studyArea = gil.testAreas.CA;
+
+// Update the startJulian and endJulian variables to indicate your seasonal
+// constraints. This supports wrapping for tropics and southern hemisphere.
+// Stats are appropriate to use for any time period within this season
+var startJulian = 152;
+var endJulian = 273;
+
+// Specify start and end years to compute the stats across
+// A long span of years (10+) will result in more stable stats
+var startYear = 2013;
+var endYear = 2023;
+
+// Which sensor to compute stats for. Options are "Landsat" and "Sentinel2"
+var sensor = "Landsat";
+
+// Choose Top of Atmospheric (TOA) or Surface Reflectance (SR)
+var toaOrSR = "TOA";
+
+// Percentile of cloudScores used for the cloudScore offset
+var cloudScorePctl = 10;
+
+// Bands used by TDOM
+var shadowSumBands = ["nir", "swir1"];
+
+// Export params
+// Whether to export the stats
+var exportStats = false;
+
+// Set up Names for the export
+var outputName = "CS-TDOM-Stats";
+
+// Provide location the stats will be exported to
+// This should be an asset folder, or more ideally, an asset imageCollection
+var exportPathRoot = "users/username/someCollection";
+
+// CRS- must be provided.
+var crs = "EPSG:5070";
+
+// Specify transform if scale is null and snapping to known grid is needed
+var transform = [30, 0, -2361915.0, 0, -30, 3177735.0];
+
+// Specify scale if transform is null
+var scale = null;
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// End user parameters
+////////////////////////////////////////////////////////////////////////////////////////////////////
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Start function calls
+////////////////////////////////////////////////////////////////////////////////////////////////////
+var statsArgs = {
+  studyArea: studyArea,
+  startYear: startYear,
+  endYear: endYear,
+  startJulian: startJulian,
+  endJulian: endJulian,
+  sensor: sensor,
+  toaOrSR: toaOrSR,
+  cloudScorePctl: cloudScorePctl,
+  shadowSumBands: shadowSumBands,
+  outputName: outputName,
+  exportPathRoot: exportPathRoot,
+  crs: crs,
+  transform: transform,
+  scale: scale
+};
+
+var stats;
+if (exportStats) {
+  stats = gil.exportCloudScoreTDOMStats(statsArgs);
+} else {
+  stats = gil.getCloudScoreTDOMStats(statsArgs);
+}
+Map.addLayer(stats, {}, "CloudScore and TDOM Stats", false);
+
+// Once exported, the stats can be loaded with:
+// var preComputedStats = gil.loadCloudScoreTDOMStats(exportPathRoot, sensor, cloudScorePctl, shadowSumBands);
+// Load the stats in memory for this example
+var preComputedStats = gil.loadCloudScoreTDOMStats(stats, sensor, cloudScorePctl, shadowSumBands);
+
+// Use the stats when getting scenes (assumes sensor is "Landsat")
+var processedScenes = gil.getProcessedLandsatScenes({
+  studyArea: studyArea,
+  startYear: 2022,
+  endYear: 2022,
+  startJulian: startJulian,
+  endJulian: endJulian,
+  toaOrSR: toaOrSR,
+  applyCloudScore: true,
+  applyTDOM: true,
+  performCloudScoreOffset: true,
+  preComputedCloudScoreOffset: preComputedStats.preComputedCloudScoreOffset,
+  preComputedTDOMIRMean: preComputedStats.preComputedTDOMIRMean,
+  preComputedTDOMIRStdDev: preComputedStats.preComputedTDOMIRStdDev
+});
+Map.addLayer(processedScenes.median(), gil.vizParamsFalse, "2022 Median with pre-computed stats");
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Load the study region
+Map.addLayer(studyArea, {color: '0000FF'}, "Study Area", false);
+Map.centerObject(studyArea);
+////////////////////////////////////////////////////////////////////////////////////////////////////
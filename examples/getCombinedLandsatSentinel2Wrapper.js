@@ -64,6 +64,11 @@ var weights = [1];
 // single date of observation across all bands
 // The date of each pixel is stored if medoid is used. This is not done for median
 // If not exporting indices with composites to save space, medoid should be used
+// Best-Available-Pixel ("bap") compositing can also be used. Like medoid, it retains a single
+// date of observation, chosen by scoring each observation (see gil.bapDefaultParams). The
+// weights and other scoring params can be changed by providing a bapParams object to the wrapper
+// "geometricMedian" (multi-band median that is not a single observation) and "percentile" (median along
+// with compositePercentiles of the compositePercentileBands, e.g. nir_p25) composites are also available
 var compositingMethod = "medoid";
 
 // Choose which Landsat USGS Collection version to use
@@ -62,6 +62,11 @@ var weights = [1];
 // single date of observation across all bands
 // The date of each pixel is stored if medoid is used. This is not done for median
 // If not exporting indices with composites to save space, medoid should be used
+// Best-Available-Pixel ("bap") compositing can also be used. Like medoid, it retains a single
+// date of observation, chosen by scoring each observation (see gil.bapDefaultParams). The
+// weights and other scoring params can be changed by providing a bapParams object to the wrapper
+// "geometricMedian" (multi-band median that is not a single observation) and "percentile" (median along
+// with compositePercentiles of the compositePercentileBands, e.g. nir_p25) composites are also available
 var compositingMethod = "medoid";
 
 // Choose Top of Atmospheric (TOA) or Surface Reflectance (SR)
@@ -247,6 +252,19 @@ var lsAndTs = gil.getLandsatWrapper(
 var processedScenes = lsAndTs.processedScenes;
 var processedComposites = lsAndTs.processedComposites;
 
+// Reproducibility manifest of the call above
+// This is also attached to each exported composite as its manifestJSON property
+var manifest = gil.getExportManifest(lsAndTs);
+print("Manifest:", manifest);
+
+// The same call can be rebuilt from the manifest (or the manifestJSON of an exported composite)
+// Set to true to rerun it and check that the rebuilt call records the same parameters
+var rebuildFromManifest = false;
+if (rebuildFromManifest) {
+  var rebuilt = gil.runWrapperFromManifest(manifest);
+  print("Rebuilt parameters match:", gil.getExportManifest(rebuilt).parameterHash === manifest.parameterHash);
+}
+
 
 years = ee.List.sequence(startYear, endYear).getInfo();
 years.map(function(year) {
@@ -0,0 +1,139 @@
+/*
+   Copyright 2025 Ian Housman
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// Example of how to get Sentinel-1 data using the getImagesLib and view outputs using the JavaScript modules
+// Acquires Sentinel-1 GRD data, preprocesses it, and then adds composites to the viewer
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+// Module imports
+var gil = require('users/rcr-training/geeViz-js:getImagesLib.js');
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Define user parameters:
+
+// Specify study area: Study area
+// Can be a featureCollection, feature, or geometry
+var studyArea = gil.testAreas.CA;
+
+// Update the startJulian and endJulian variables to indicate your seasonal
+// constraints. This supports wrapping for tropics and southern hemisphere.
+// startJulian: Starting Julian date
+// endJulian: Ending Julian date
+var startJulian = 152;
+var endJulian = 273;
+
+// Specify start and end years for all analyses
+var startYear = 2019;
+var endYear = 2023;
+
+// Specify an annual buffer to include imagery from the same season
+// timeframe from the prior and following year. timeBuffer = 1 will result
+// in a 3 year moving window. If you want single-year composites, set to 0
+var timebuffer = 0;
+
+// Specify the weights to be used for the moving window created by timeBuffer
+// If timeBuffer = 0, set to [1]
+var weights = [1];
+
+// Choose medoid or median compositing method.
+// The medoid is computed using the polarization bands
+var compositingMethod = "median";
+
+// Polarizations to include. If both VV and VH are chosen, the VV_VH_ratio and RVI bands can be added
+var polarizations = ["VV", "VH"];
+
+// Orbit pass directions to include. Both are merged into a single collection
+var passDirections = ["ASCENDING", "DESCENDING"];
+
+// Whether to mask out noisy scene edges
+var applyBorderNoiseCorrection = true;
+
+// Choose the speckle filter: null (no filtering), "refinedLee", "boxcar", or "gammaMap"
+// The kernel size is only used by the boxcar and gammaMap filters (refinedLee uses a fixed 7x7 window)
+var speckleFilter = "refinedLee";
+var speckleFilterKernelSize = 7;
+
+// Whether to apply radiometric terrain flattening and which scattering model to use ("volume" or "surface")
+var applyTerrainFlattening = true;
+var terrainFlatteningModel = "volume";
+
+// Whether to return backscatter in dB (true) or natural units (false)
+var outputDB = true;
+
+// Export params
+// Whether to export composites
+var exportComposites = false;
+
+// Set up Names for the export
+var outputName = "Sentinel1";
+
+// Provide location composites will be exported to
+// This should be an asset folder, or more ideally, an asset imageCollection
+var exportPathRoot = "users/username/someCollection";
+
+// CRS- must be provided.
+var crs = "EPSG:5070";
+
+// Specify transform if scale is null and snapping to known grid is needed
+var transform = [10, 0, -2361915.0, 0, -10, 3177735.0];
+
+// Specify scale if transform is null
+var scale = null;
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// End user parameters
+////////////////////////////////////////////////////////////////////////////////////////////////////
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Start function calls
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Call on master wrapper function to get Sentinel-1 scenes and composites
+var s1AndTs = gil.getSentinel1Wrapper({
+  studyArea: studyArea,
+  startYear: startYear,
+  endYear: endYear,
+  startJulian: startJulian,
+  endJulian: endJulian,
+  timebuffer: timebuffer,
+  weights: weights,
+  compositingMethod: compositingMethod,
+  polarizations: polarizations,
+  passDirections: passDirections,
+  applyBorderNoiseCorrection: applyBorderNoiseCorrection,
+  speckleFilter: speckleFilter,
+  speckleFilterKernelSize: speckleFilterKernelSize,
+  applyTerrainFlattening: applyTerrainFlattening,
+  terrainFlatteningModel: terrainFlatteningModel,
+  outputDB: outputDB,
+  exportComposites: exportComposites,
+  outputName: outputName,
+  exportPathRoot: exportPathRoot,
+  crs: crs,
+  transform: transform,
+  scale: scale
+});
+
+// Separate into scenes and composites for subsequent analysis
+var processedScenes = s1AndTs.processedScenes;
+var processedComposites = s1AndTs.processedComposites;
+
+years = ee.List.sequence(startYear, endYear).getInfo();
+years.map(function(year) {
+  Map.addLayer(processedComposites.filter(ee.Filter.calendarRange(year, year, "year")), {min: [-20, -25, 0], max: [0, -5, 15], bands: 'VV,VH,VV_VH_ratio'}, "Composite " + year.toString(), false);
+});
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Load the study region
+Map.addLayer(studyArea, {color: '0000FF'}, "Study Area", true);
+Map.centerObject(studyArea);
+////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -97,6 +97,27 @@ var seasonalityVizIndexName = "NDVI";
 
 // Whether to apply a linear detrending of data.  Can be useful if long-term change is not of interest
 var detrend = true;
+
+// How to fit the harmonic regression model
+// Options are "ols", "weighted", "ridge", "lasso", and "iterativeReweighting"
+// Penalized (ridge and lasso) and outlier rejecting (iterativeReweighting) modes can help keep
+// higher harmonic coefficients from getting unrealistically large with noisy data
+var fitMode = "ols";
+
+// Parameters for the fitMode. Any not provided will use gil.harmonicFitDefaultParams
+// weightFunctions are used by the weighted and iterativeReweighting modes
+var fitParams = {
+  weightFunctions: [gil.getCloudDistanceWeightFunction(300)],
+  ridgeLambda: 0.1,
+  lassoLambda: 0.005
+};
+
+// Whether to mask coefficients of bands with an unreliable fit
+// Any threshold set to null is not used
+var maskUnreliableCoefficients = false;
+var minR2 = 0.2;
+var minObs = 10;
+var minTemporalCoverage = 0.5;
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 // Ensure seasonalityVizIndexName is included in the indexNames
 if (indexNames.indexOf(seasonalityVizIndexName) === -1){
@@ -130,7 +151,7 @@ yrList.map(function(yr){
   var seasonalityMedian = composite.select([seasonalityVizIndexName]);
 
   // Fit harmonic model
-  var coeffsPredicted = gil.getHarmonicCoefficientsAndFit(allScenesT, indexNames, whichHarmonics, detrend);
+  var coeffsPredicted = gil.getHarmonicCoefficientsAndFit(allScenesT, indexNames, whichHarmonics, detrend, fitMode, fitParams);
 
   // Set some properties
   var coeffs = coeffsPredicted[0]
@@ -147,6 +168,15 @@ yrList.map(function(yr){
   var predicted = coeffsPredicted[1];
   Map.addLayer(predicted, {}, nameStart + "_predicted", false);
 
+  // Get goodness-of-fit stats (RMSE, R2, residualStdDev, nObs, temporalCoverage for each band)
+  var fitStats = coeffsPredicted[2];
+  Map.addLayer(fitStats.select([".*_R2"]), {min: 0, max: 1}, nameStart + "_R2", false);
+
+  // Optionally mask unreliable coefficients before using them downstream
+  if (maskUnreliableCoefficients){
+    coeffs = gil.maskHarmonicCoefficients(coeffs, fitStats, indexNames, minR2, null, minObs, minTemporalCoverage);
+  }
+
   // Optionally simplify coeffs to phase, amplitude, and date of peak
   if (whichHarmonics.indexOf(2) !== -1){
     var pap = ee.Image(gil.getPhaseAmplitudePeak(coeffs));
@@ -206,6 +236,23 @@ yrList.map(function(yr){
   }
   coeffCollection.push(coeffs);
 });
+
+// The same moving window fitting can be done in a single call that returns an annual imageCollection
+// This collection can be used directly by annual time series methods (e.g. LandTrendr)
+var harmonicTimeSeries = gil.getHarmonicCoefficientsTimeSeries({
+  scenes: allScenes,
+  startYear: startYear,
+  endYear: endYear,
+  startJulian: startJulian,
+  endJulian: endJulian,
+  timebuffer: timebuffer,
+  indexNames: indexNames,
+  whichHarmonics: whichHarmonics,
+  detrend: detrend,
+  fitMode: fitMode,
+  fitParams: fitParams
+}).harmonicCoefficients;
+Map.addLayer(harmonicTimeSeries.select([seasonalityVizIndexName + "_amplitude"]), {}, "Annual " + seasonalityVizIndexName + " Amplitude Time Series", false);
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 // Load the study region
 Map.addLayer(studyArea, {color: '0000FF'}, "Study Area", false);
@@ -0,0 +1,113 @@
+/*
+   Copyright 2025 Ian Housman
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// Example of how to get annual land surface phenology metrics from Landsat data
+// Fits double-logistic and Savitzky-Golay models to each year and derives start/end/length of season,
+// green-up and senescence rates, and base/peak values
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+// Module imports
+var gil = require('users/rcr-training/geeViz-js:getImagesLib.js');
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Define user parameters:
+
+// Specify study area: Study area
+// Can be a featureCollection, feature, or geometry
+var studyArea = gil.testAreas.CA;
+
+// Julian days to fit the models across
+// This supports wrapping for tropics and southern hemisphere
+var startJulian = 1;
+var endJulian = 365;
+
+// Specify start and end years
+var startYear = 2022;
+var endYear = 2023;
+
+// Indices to compute phenology for
+var indexNames = ["NDVI", "NBR"];
+
+// Models to fit. Options are "doubleLogistic" and "savitzkyGolay"
+var methods = ["doubleLogistic", "savitzkyGolay"];
+
+// Proportion of the amplitude used to define start, end, and mid-points of the season
+var startThreshold = 0.2;
+var endThreshold = 0.2;
+var midThreshold = 0.5;
+
+// Export params
+// Whether to export phenology
+var exportComposites = false;
+
+// Set up Names for the export
+var outputName = "Phenology";
+
+// Provide location phenology will be exported to
+// This should be an asset folder, or more ideally, an asset imageCollection
+var exportPathRoot = "users/username/someCollection";
+
+// CRS- must be provided.
+var crs = "EPSG:5070";
+
+// Specify transform if scale is null and snapping to known grid is needed
+var transform = [30, 0, -2361915.0, 0, -30, 3177735.0];
+
+// Specify scale if transform is null
+var scale = null;
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// End user parameters
+////////////////////////////////////////////////////////////////////////////////////////////////////
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Start function calls
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Get cleaned scenes
+var processedScenes = gil.getProcessedLandsatScenes({
+  studyArea: studyArea,
+  startYear: startYear,
+  endYear: endYear,
+  startJulian: startJulian,
+  endJulian: endJulian
+});
+
+var phenologyArgs = gil.getPhenologyWrapper({
+  scenes: processedScenes,
+  studyArea: studyArea,
+  startYear: startYear,
+  endYear: endYear,
+  startJulian: startJulian,
+  endJulian: endJulian,
+  indexNames: indexNames,
+  methods: methods,
+  startThreshold: startThreshold,
+  endThreshold: endThreshold,
+  midThreshold: midThreshold,
+  exportComposites: exportComposites,
+  outputName: outputName,
+  exportPathRoot: exportPathRoot,
+  crs: crs,
+  transform: transform,
+  scale: scale
+});
+
+var phenology = phenologyArgs.phenology;
+Map.addLayer(phenology.select(["NDVI_DL_SOS", "NDVI_DL_EOS"]), {min: 60, max: 300}, "NDVI Double-Logistic SOS and EOS", false);
+Map.addLayer(phenology.select(["NDVI_SG_SOS", "NDVI_SG_peakDOY", "NDVI_SG_EOS"]), {min: 60, max: 300}, "NDVI Savitzky-Golay SOS, Peak, and EOS", false);
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Load the study region
+Map.addLayer(studyArea, {color: '0000FF'}, "Study Area", false);
+Map.centerObject(studyArea);
+////////////////////////////////////////////////////////////////////////////////////////////////////
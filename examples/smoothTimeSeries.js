@@ -0,0 +1,94 @@
+/*
+   Copyright 2025 Ian Housman
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// Example of how to smooth a dense scene time series
+// Landsat and Sentinel 2 scenes are resampled to a daily grid and smoothed with a Whittaker smoother
+// or a Savitzky-Golay filter to produce a denoised daily NDVI series
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+// Module imports
+var gil = require('users/rcr-training/geeViz-js:getImagesLib.js');
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Define user parameters:
+
+// Specify study area: Study area
+// Can be a featureCollection, feature, or geometry
+var studyArea = gil.testAreas.CA;
+
+// Specify the period to smooth
+// Whittaker memory use grows with the square of the number of grid steps, so keep daily grids to about a year
+var startYear = 2023;
+var endYear = 2023;
+var startJulian = 1;
+var endJulian = 365;
+
+// Bands/indices to smooth
+var bandNames = ["NDVI"];
+
+// Grid step in days (1 for a daily series)
+var stepDays = 1;
+
+// Smoothing method. Options are "whittaker" and "savitzkyGolay"
+var smoothingMethod = "whittaker";
+
+// Whittaker smoothing parameter. Larger values give a smoother series
+var lambda = 1000;
+
+// Savitzky-Golay window length in days and polynomial order
+var sgWindowDays = 30;
+var sgPolyOrder = 2;
+
+// Whether to iteratively pull the fit up toward the upper envelope of the observations
+// Useful for vegetation indices where residual clouds and shadows bias values low
+var upperEnvelope = true;
+var envelopeIterations = 2;
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// End user parameters
+////////////////////////////////////////////////////////////////////////////////////////////////////
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Start function calls
+////////////////////////////////////////////////////////////////////////////////////////////////////
+var processedScenes = gil.getProcessedLandsatAndSentinel2Scenes({
+  studyArea: studyArea,
+  startYear: startYear,
+  endYear: endYear,
+  startJulian: startJulian,
+  endJulian: endJulian
+});
+
+var smoothedOut = gil.smoothTimeSeries({
+  scenes: processedScenes,
+  bandNames: bandNames,
+  startDate: ee.Date.fromYMD(startYear, 1, 1).advance(startJulian - 1, "day"),
+  endDate: ee.Date.fromYMD(endYear, 1, 1).advance(endJulian, "day"),
+  stepDays: stepDays,
+  smoothingMethod: smoothingMethod,
+  lambda: lambda,
+  sgWindowDays: sgWindowDays,
+  sgPolyOrder: sgPolyOrder,
+  upperEnvelope: upperEnvelope,
+  envelopeIterations: envelopeIterations
+});
+print("Smoothed time series", smoothedOut.smoothedCollection);
+print("Smoothed at original observation times", smoothedOut.smoothedAtObservations);
+Map.addLayer(smoothedOut.smoothedCollection.select(bandNames), {}, "Smoothed " + bandNames.join(", "), false);
+Map.addLayer(processedScenes.select(bandNames), {}, "Raw " + bandNames.join(", "), false);
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Load the study region
+Map.addLayer(studyArea, {color: '0000FF'}, "Study Area", false);
+Map.centerObject(studyArea);
+////////////////////////////////////////////////////////////////////////////////////////////////////
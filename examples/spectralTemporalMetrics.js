@@ -0,0 +1,86 @@
+/*
+   Copyright 2025 Ian Housman
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// Example of how to get annual spectral-temporal metrics (STMs)
+// STMs summarize each band/index across all observations in a season (e.g. percentiles, interquartile range)
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+// Module imports
+var gil = require('users/rcr-training/geeViz-js:getImagesLib.js');
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Define user parameters:
+
+// Specify study area: Study area
+// Can be a featureCollection, feature, or geometry
+var studyArea = gil.testAreas.CA;
+
+// Update the startJulian and endJulian variables to indicate your seasonal
+// constraints. This supports wrapping for tropics and southern hemisphere.
+var startJulian = 152;
+var endJulian = 273;
+
+// Specify start and end years
+var startYear = 2021;
+var endYear = 2023;
+
+// Specify an annual buffer and weights the same way as for composites
+// Observations are repeated by the weight of their year, so all metrics except count are weighted
+var timebuffer = 1;
+var weights = [1, 2, 1];
+
+// Bands/indices to summarize
+var stmBands = ["red", "nir", "swir1", "swir2", "NDVI", "NBR"];
+
+// Metrics to compute. Options are "percentile", "iqr", "stdDev", "mean", "intervalMean", and "count"
+var stmMetrics = ["percentile", "iqr", "stdDev", "intervalMean", "count"];
+var stmPercentiles = [10, 25, 50, 75, 90];
+var stmIntervals = [[25, 75], [10, 90]];
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// End user parameters
+////////////////////////////////////////////////////////////////////////////////////////////////////
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Start function calls
+////////////////////////////////////////////////////////////////////////////////////////////////////
+var processedScenes = gil.getProcessedLandsatScenes({
+  studyArea: studyArea,
+  startYear: startYear,
+  endYear: endYear,
+  startJulian: startJulian,
+  endJulian: endJulian
+});
+
+var stms = gil.getSpectralTemporalMetrics({
+  ls: processedScenes,
+  startYear: startYear,
+  endYear: endYear,
+  startJulian: startJulian,
+  endJulian: endJulian,
+  timebuffer: timebuffer,
+  weights: weights,
+  stmBands: stmBands,
+  stmMetrics: stmMetrics,
+  stmPercentiles: stmPercentiles,
+  stmIntervals: stmIntervals
+});
+print("Spectral-temporal metrics", stms);
+Map.addLayer(stms.select(["swir1_p50", "nir_p50", "red_p50"]), {min: 0.05, max: 0.4}, "Median False Color", false);
+Map.addLayer(stms.select(["NDVI_iqr"]), {min: 0, max: 0.3}, "NDVI IQR", false);
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Load the study region
+Map.addLayer(studyArea, {color: '0000FF'}, "Study Area", false);
+Map.centerObject(studyArea);
+////////////////////////////////////////////////////////////////////////////////////////////////////
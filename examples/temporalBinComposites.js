@@ -0,0 +1,88 @@
+/*
+   Copyright 2025 Ian Housman
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// Example of how to create sub-annual (monthly, seasonal, or n-day) composites
+// Any of the compositing methods available for annual composites can be used
+////////////////////////////////////////////////////////////////////////////////////////////////////
+
+// Module imports
+var gil = require('users/rcr-training/geeViz-js:getImagesLib.js');
+
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Define user parameters:
+
+// Specify study area: Study area
+// Can be a featureCollection, feature, or geometry
+var studyArea = gil.testAreas.CA;
+
+// Specify start and end years
+var startYear = 2022;
+var endYear = 2023;
+
+// How to bin the scenes. Options are "month", "season", and "nDay"
+var binType = "season";
+
+// Seasons used if binType is "season" ({name: [startJulian, endJulian]})
+// Seasons can wrap across the end of the year (e.g. {winter: [335, 59]})
+var seasons = {
+  Q1: [1, 90],
+  Q2: [91, 181],
+  Q3: [182, 273],
+  Q4: [274, 365]
+};
+
+// Number of days in each composite if binType is "nDay"
+var nDays = 16;
+
+// Compositing method. Options are "medoid", "median", "bap", "geometricMedian", and "percentile"
+var compositingMethod = "medoid";
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// End user parameters
+////////////////////////////////////////////////////////////////////////////////////////////////////
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Start function calls
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Get scenes across the entire year so winter seasons that wrap are included
+var processedScenes = gil.getProcessedLandsatScenes({
+  studyArea: studyArea,
+  startYear: startYear - 1,
+  endYear: endYear,
+  startJulian: 1,
+  endJulian: 365
+});
+
+var composites = gil.temporalBinComposites({
+  ls: processedScenes,
+  startYear: startYear,
+  endYear: endYear,
+  binType: binType,
+  seasons: seasons,
+  nDays: nDays,
+  compositingMethod: compositingMethod
+});
+print("Composites", composites);
+
+composites.aggregate_array("period").evaluate(function (periods) {
+  periods.map(function (period) {
+    var composite = composites.filter(ee.Filter.eq("period", period)).first();
+    Map.addLayer(composite, gil.vizParamsFalse, period + " " + compositingMethod, false);
+  });
+});
+////////////////////////////////////////////////////////////////////////////////////////////////////
+// Load the study region
+Map.addLayer(studyArea, {color: '0000FF'}, "Study Area", false);
+Map.centerObject(studyArea);
+////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -60,8 +60,9 @@ common_projections["NLCD_HI"] = {
   transform: [30, 0, -342585, 0, -30, 2127135],
 };
 
-//Direction of  a decrease in photosynthetic vegetation- add any that are missing
-var changeDirDict = {
+//Direction of  a decrease in photosynthetic vegetation for bands that are not in the indexCatalog
+//Directions for indices are defined in the indexCatalog below
+var bandChangeDirDict = {
   blue: 1,
   green: 1,
   red: 1,
@@ -69,48 +70,200 @@ var changeDirDict = {
   swir1: 1,
   swir2: 1,
   temp: 1,
-  NDVI: -1,
-  NBR: -1,
-  NDMI: -1,
-  NDSI: 1,
   brightness: 1,
   greenness: -1,
   wetness: -1,
   fourth: -1,
   fifth: 1,
   sixth: -1,
-
-  ND_blue_green: -1,
-  ND_blue_red: -1,
-  ND_blue_nir: 1,
-  ND_blue_swir1: -1,
-  ND_blue_swir2: -1,
-  ND_green_red: -1,
-  ND_green_nir: 1,
-  ND_green_swir1: -1,
-  ND_green_swir2: -1,
-  ND_red_swir1: -1,
-  ND_red_swir2: -1,
-  ND_nir_red: -1,
-  ND_nir_swir1: -1,
-  ND_nir_swir2: -1,
-  ND_swir1_swir2: -1,
-  R_swir1_nir: 1,
-  R_red_swir1: -1,
-  EVI: -1,
-  SAVI: -1,
-  IBI: 1,
   tcAngleBG: -1,
   tcAngleGW: -1,
   tcAngleBW: -1,
   tcDistBG: 1,
   tcDistGW: 1,
   tcDistBW: 1,
-  NIRv: -1,
-  NDCI: -1,
-  NDGI: -1,
+  GV: -1,
+  NPV: 1,
+  Soil: 1,
+  Shade: -1,
+  smaNDFI: -1,
+  //Legacy swir1/nir normalized difference from addSoilIndices (see ND_swir1_nir in the indexCatalog)
+  NDFI: 1,
+};
+
+//Catalog of spectral indices that can be added with addIndicesFromCatalog
+//Each index has:
+//  bands: the common band names it needs
+//  normalizedDifference or expression: how it is computed. Expressions use the common band names as variables
+//  sensors: which sensors it can be computed for
+//  range: the expected [min, max] (null if unbounded)
+//  changeDirection: direction of a decrease in photosynthetic vegetation (1 or -1)
+//Use registerIndex to add indices at runtime
+var opticalSensors = ["landsat", "sentinel2", "modis"];
+var indexCatalog = {};
+function ndIndex(bands, changeDirection) {
+  return {
+    bands: bands,
+    normalizedDifference: bands,
+    sensors: opticalSensors,
+    range: [-1, 1],
+    changeDirection: changeDirection,
+  };
+}
+// Common indices
+indexCatalog.NDVI = ndIndex(["nir", "red"], -1);
+indexCatalog.NBR = ndIndex(["nir", "swir2"], -1);
+indexCatalog.NDMI = ndIndex(["nir", "swir1"], -1);
+indexCatalog.NDSI = ndIndex(["green", "swir1"], 1);
+indexCatalog.NBR2 = ndIndex(["swir1", "swir2"], -1);
+
+// Normalized Difference Spectral Vector (NDSV) from (Angiuli and Trianni, 2014)
+indexCatalog.ND_blue_green = ndIndex(["blue", "green"], -1);
+indexCatalog.ND_blue_red = ndIndex(["blue", "red"], -1);
+indexCatalog.ND_blue_nir = ndIndex(["blue", "nir"], 1);
+indexCatalog.ND_blue_swir1 = ndIndex(["blue", "swir1"], -1);
+indexCatalog.ND_blue_swir2 = ndIndex(["blue", "swir2"], -1);
+indexCatalog.ND_green_red = ndIndex(["green", "red"], -1);
+indexCatalog.ND_green_nir = ndIndex(["green", "nir"], 1); //NDWBI
+indexCatalog.ND_green_swir1 = ndIndex(["green", "swir1"], -1); //NDSI, MNDWI
+indexCatalog.ND_green_swir2 = ndIndex(["green", "swir2"], -1);
+indexCatalog.ND_red_swir1 = ndIndex(["red", "swir1"], -1);
+indexCatalog.ND_red_swir2 = ndIndex(["red", "swir2"], -1);
+indexCatalog.ND_nir_red = ndIndex(["nir", "red"], -1); //NDVI
+indexCatalog.ND_nir_swir1 = ndIndex(["nir", "swir1"], -1); //NDWI, LSWI, -NDBI
+indexCatalog.ND_nir_swir2 = ndIndex(["nir", "swir2"], -1); //NBR, MNDVI
+indexCatalog.ND_swir1_swir2 = ndIndex(["swir1", "swir2"], -1);
+
+// Ratios
+indexCatalog.R_swir1_nir = {
+  bands: ["swir1", "nir"],
+  expression: "swir1 / nir", //ratio 5/4
+  sensors: opticalSensors,
+  range: [0, null],
+  changeDirection: 1,
+};
+indexCatalog.R_red_swir1 = {
+  bands: ["red", "swir1"],
+  expression: "red / swir1", // ratio 3/5
+  sensors: opticalSensors,
+  range: [0, null],
+  changeDirection: -1,
+};
+
+// Enhanced Vegetation Index (EVI)
+indexCatalog.EVI = {
+  bands: ["nir", "red", "blue"],
+  expression: "2.5 * ((nir - red) / (nir + 6 * red - 7.5 * blue + 1))",
+  sensors: opticalSensors,
+  range: [-1, 1],
+  changeDirection: -1,
+};
+// Soil Adjust Vegetation Index (SAVI) using L = 0.5
+indexCatalog.SAVI = {
+  bands: ["nir", "red"],
+  expression: "(nir - red) * (1 + 0.5) / (nir + red + 0.5)",
+  sensors: opticalSensors,
+  range: [-1.5, 1.5],
+  changeDirection: -1,
+};
+// Index-Based Built-Up Index (IBI)
+// Normalized difference of 2*swir1/(swir1 + nir) and (nir/(nir + red)) + (green/(green + swir1))
+indexCatalog.IBI = {
+  bands: ["swir1", "nir", "red", "green"],
+  expression:
+    "(2 * swir1 / (swir1 + nir) - (nir / (nir + red) + green / (green + swir1))) / (2 * swir1 / (swir1 + nir) + (nir / (nir + red) + green / (green + swir1)))",
+  sensors: opticalSensors,
+  range: [-1, 1],
+  changeDirection: 1,
+};
+//NIRv: Badgley, G., Field, C. B., & Berry, J. A. (2017). Canopy near-infrared reflectance and terrestrial photosynthesis. Science Advances, 3, e1602244.
+//https://www.researchgate.net/publication/315534107_Canopy_near-infrared_reflectance_and_terrestrial_photosynthesis
+indexCatalog.NIRv = {
+  bands: ["nir", "red"],
+  expression: "((nir - red) / (nir + red) - 0.08) * nir",
+  sensors: opticalSensors,
+  range: [-1.08, 0.92],
+  changeDirection: -1,
+};
+
+// Soil indices
+indexCatalog.NDCI = ndIndex(["red", "green"], -1);
+indexCatalog.NDGI = ndIndex(["green", "red"], -1);
+indexCatalog.NDII = ndIndex(["red", "swir2"], 1);
+indexCatalog.ND_swir1_nir = ndIndex(["swir1", "nir"], 1);
+// Bare Soil Index (BSI)
+indexCatalog.BSI = {
+  bands: ["blue", "red", "nir", "swir1"],
+  expression: "((swir1 + red) - (nir + blue)) / ((swir1 + red) + (nir + blue))",
+  sensors: opticalSensors,
+  range: [-1, 1],
+  changeDirection: 1,
+};
+indexCatalog.HI = {
+  bands: ["swir1", "swir2"],
+  expression: "swir1 / swir2",
+  sensors: opticalSensors,
+  range: [0, null],
+  changeDirection: -1,
+};
+
+// Sentinel 2 red-edge indices
+// Normalized Difference Red-Edge index (NDRE)
+indexCatalog.NDRE = {
+  bands: ["nir", "re1"],
+  normalizedDifference: ["nir", "re1"],
+  sensors: ["sentinel2"],
+  range: [-1, 1],
+  changeDirection: -1,
+};
+// Red-edge Chlorophyll Index (CIre) (Clevers and Gitelson, 2013)
+indexCatalog.CIre = {
+  bands: ["re3", "re1"],
+  expression: "re3 / re1 - 1",
+  sensors: ["sentinel2"],
+  range: [-1, null],
+  changeDirection: -1,
+};
+// MERIS Terrestrial Chlorophyll Index (MTCI) (Dash and Curran, 2004)
+indexCatalog.MTCI = {
+  bands: ["re2", "re1", "red"],
+  expression: "(re2 - re1) / (re1 - red)",
+  sensors: ["sentinel2"],
+  range: [null, null],
+  changeDirection: -1,
+};
+// Inverted Red-Edge Chlorophyll Index (IRECI) (Frampton et al., 2013)
+indexCatalog.IRECI = {
+  bands: ["re3", "red", "re1", "re2"],
+  expression: "(re3 - red) / (re1 / re2)",
+  sensors: ["sentinel2"],
+  range: [null, null],
+  changeDirection: -1,
+};
+// Sentinel 2 Red-Edge Position (S2REP) in nm (Frampton et al., 2013)
+indexCatalog.S2REP = {
+  bands: ["re3", "red", "re1", "re2"],
+  expression: "705 + 35 * (((re3 + red) / 2 - re1) / (re2 - re1))",
+  sensors: ["sentinel2"],
+  range: [705, 740],
+  changeDirection: -1,
+};
+// Plant Senescence Reflectance Index (PSRI) (Merzlyak et al., 1999)
+indexCatalog.PSRI = {
+  bands: ["red", "blue", "re2"],
+  expression: "(red - blue) / re2",
+  sensors: ["sentinel2"],
+  range: [-1, 1],
+  changeDirection: 1,
 };
 
+//Direction of  a decrease in photosynthetic vegetation for all bands and indices
+//Built from bandChangeDirDict and the indexCatalog and kept up to date by registerIndex
+var changeDirDict = copyObj(bandChangeDirDict);
+Object.keys(indexCatalog).map(function (name) {
+  changeDirDict[name] = indexCatalog[name].changeDirection;
+});
+
 //Precomputed cloudscore offsets and TDOM stats
 //These have been pre-computed for all CONUS for Landsat and Setinel 2 (separately)
 //and are appropriate to use for any time period within the growing season
@@ -232,7 +385,17 @@ exports.getPrecomputedTDOMStatsHI = function (cloudScorePctl) {
 //args are the default arguments keyword for the function
 //defaultArgs is an object containing each key and default value needed for the function
 //Leave any defaultArg as null if it is needed but a default is not provided
-function prepArgumentsObject(args, defaultArgs) {
+//argSchema is an optional schema of the defaultArgs (see validateArguments) and functionName
+//is used in validation messages
+//Unknown keys are reported the first time an args object is prepped, so objects that are
+//passed on between functions after being added to are not reported
+function prepArgumentsObject(args, defaultArgs, argSchema, functionName) {
+  if (argSchema === undefined || argSchema === null) {
+    argSchema = {};
+  }
+  if (functionName === undefined || functionName === null) {
+    functionName = "prepArgumentsObject";
+  }
   var argList = [].slice.call(args);
   var outArgs = {};
   // print('Default args:',defaultArgs);
@@ -252,6 +415,45 @@ function prepArgumentsObject(args, defaultArgs) {
     argsAreObject = true;
     outArgs = argList[0];
   }
+
+  if (argsAreObject) {
+    //Map any deprecated aliases to their new names
+    Object.keys(argSchema).forEach(function (key) {
+      (argSchema[key].aliases || []).forEach(function (alias) {
+        if (outArgs[alias] !== undefined && outArgs[alias] !== null) {
+          if (!outArgs.argumentsPrepped) {
+            reportArgumentProblem(
+              functionName,
+              alias,
+              "is deprecated. Use " + key + " instead"
+            );
+          }
+          if (outArgs[key] === undefined || outArgs[key] === null) {
+            outArgs[key] = outArgs[alias];
+          }
+        }
+      });
+    });
+
+    //Report any unknown (often misspelled) keys
+    if (argumentValidationLevel !== "off" && !outArgs.argumentsPrepped) {
+      var knownKeys = Object.keys(defaultArgs);
+      Object.keys(argSchema).forEach(function (key) {
+        knownKeys = knownKeys.concat(argSchema[key].aliases || []);
+      });
+      Object.keys(outArgs).forEach(function (key) {
+        if (knownKeys.indexOf(key) === -1) {
+          var closestKey = getClosestArgumentKey(key, knownKeys);
+          reportArgumentProblem(
+            functionName,
+            key,
+            "is not a known argument" +
+              (closestKey === null ? "" : ". Did you mean " + closestKey + "?")
+          );
+        }
+      });
+    }
+  }
   //Iterate through each expected argument to create the obj with all parameters
   Object.keys(defaultArgs).forEach(function (key, i) {
     var value;
@@ -274,15 +476,184 @@ function prepArgumentsObject(args, defaultArgs) {
 
   // }
   // print('Out args:',outArgs);
-  return outArgs;
+  if (argumentValidationLevel !== "off") {
+    validateArguments(outArgs, argSchema, functionName);
+  }
+  //Keep a copy of the arguments the object was first prepped with before functions add to it
+  //This is what reproducibility manifests record (see getExportManifest)
+  if (!outArgs.argumentsPrepped) {
+    var initialArguments = {};
+    Object.keys(defaultArgs).forEach(function (key) {
+      initialArguments[key] = outArgs[key];
+    });
+    Object.defineProperty(outArgs, "initialArguments", {
+      value: initialArguments,
+      enumerable: false,
+      configurable: true,
+      writable: true,
+    });
+  }
+  return markArgumentsPrepped(outArgs);
+}
+//Function to flag an args object as prepped so unknown keys are not reported when it is passed on
+//The flag is not enumerable so it is not set as a property
+function markArgumentsPrepped(args) {
+  Object.defineProperty(args, "argumentsPrepped", {
+    value: true,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+  return args;
+}
+//////////////////////////////////////////////////
+// Argument validation
+// prepArgumentsObject can check arguments against an optional schema for each function's defaultArgs
+// The argumentValidationLevel controls what happens to problems: "off" ignores them,
+// "warn" prints them, and "error" throws them. Deprecated aliases are always mapped to their new names
+var argumentValidationLevels = ["off", "warn", "error"];
+var argumentValidationLevel = "warn";
+
+//Function to set the argumentValidationLevel used by all functions
+function setArgumentValidationLevel(level) {
+  if (argumentValidationLevels.indexOf(level) === -1) {
+    throw new Error(
+      "setArgumentValidationLevel: unknown level " +
+        level +
+        ". Options are: " +
+        argumentValidationLevels.join(", ")
+    );
+  }
+  argumentValidationLevel = level;
+}
+
+//Function to report an argument problem at the current argumentValidationLevel
+function reportArgumentProblem(functionName, key, problem) {
+  var message = functionName + ": argument " + key + " " + problem;
+  if (argumentValidationLevel === "error") {
+    throw new Error(message);
+  } else if (argumentValidationLevel === "warn") {
+    print("Warning: " + message);
+  }
+}
+
+//Function to check whether a value is of a given argument type
+//Types are "number", "string", "boolean", "array", "object", "function", and "ee" (any ee object)
+function argumentMatchesType(value, type) {
+  if (type === "ee") {
+    return value instanceof ee.ComputedObject;
+  } else if (type === "array") {
+    return Array.isArray(value);
+  } else if (type === "object") {
+    return (
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !(value instanceof ee.ComputedObject)
+    );
+  }
+  return typeof value === type;
+}
+
+//Function to find the known key closest to a misspelled key
+//Returns null if no key is within a few edits
+function getClosestArgumentKey(key, knownKeys) {
+  function editDistance(a, b) {
+    var previous = range(0, b.length + 1);
+    for (var i = 1; i <= a.length; i++) {
+      var current = [i];
+      for (var j = 1; j <= b.length; j++) {
+        current.push(
+          Math.min(
+            previous[j] + 1,
+            current[j - 1] + 1,
+            previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+          )
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+  var closest = null;
+  var closestDistance = 3;
+  knownKeys.forEach(function (knownKey) {
+    var distance = editDistance(key.toLowerCase(), knownKey.toLowerCase());
+    if (distance <= closestDistance) {
+      closest = knownKey;
+      closestDistance = distance;
+    }
+  });
+  return closest;
+}
+
+//Function to check prepared arguments against an argument schema
+//argSchema maps argument names to any of:
+//  type: a type or list of types (see argumentMatchesType)
+//  values: list of allowed values (each item is checked for list arguments)
+//  ignoreCase: true if string values are compared ignoring case (only use this if the
+//    function itself ignores case)
+//  required: true if the argument cannot be null
+//  aliases: list of deprecated names for the argument
+function validateArguments(outArgs, argSchema, functionName) {
+  Object.keys(argSchema).forEach(function (key) {
+    var rule = argSchema[key];
+    var value = outArgs[key];
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        reportArgumentProblem(functionName, key, "is required");
+      }
+      return;
+    }
+    if (rule.type !== undefined) {
+      var types = Array.isArray(rule.type) ? rule.type : [rule.type];
+      var matches = types.some(function (type) {
+        return argumentMatchesType(value, type);
+      });
+      if (!matches) {
+        reportArgumentProblem(
+          functionName,
+          key,
+          "must be of type " + types.join(" or ") + " but is " + typeof value
+        );
+      }
+    }
+    if (rule.values !== undefined) {
+      var normalize = function (v) {
+        return rule.ignoreCase && typeof v === "string" ? v.toLowerCase() : v;
+      };
+      var allowedValues = rule.values.map(normalize);
+      var items = Array.isArray(value) ? value : [value];
+      items.forEach(function (item) {
+        if (allowedValues.indexOf(normalize(item)) === -1) {
+          reportArgumentProblem(
+            functionName,
+            key,
+            "has value " + item + ". Options are: " + rule.values.join(", ")
+          );
+        }
+      });
+    }
+  });
 }
 //////////////////////////////////////////////////
 // Function to copy an object so values are not updated in both objects
+// Copies of prepped args objects are also flagged as prepped (see prepArgumentsObject)
 function copyObj(obj) {
   var out = {};
   Object.keys(obj).map(function (k) {
     out[k] = obj[k];
   });
+  if (obj.argumentsPrepped) {
+    markArgumentsPrepped(out);
+  }
+  if (obj.initialArguments) {
+    Object.defineProperty(out, "initialArguments", {
+      value: obj.initialArguments,
+      enumerable: false,
+      configurable: true,
+      writable: true,
+    });
+  }
   return out;
 }
 function reverseObj(obj) {
@@ -420,9 +791,212 @@ function eeObjServerSide(obj) {
   return getObjType(obj, "is server side") !== undefined;
 }
 //////////////////////////////////////////////////
+// Band encoding schemas
+// An encoding schema maps band names (or regular expressions matching whole band names)
+// to how they are stored: {scale, offset, dataType, noData}
+// The ".default" key applies to bands that match no other key (the same convention as pyramiding policies)
+// and the first matching key wins otherwise
+// Stored values are (value - offset) * scale cast to dataType, so decoded values are stored / scale + offset
+// Encoded images carry their resolved per-band encodings as the encodingSchema property
+var defaultBandEncoding = {
+  scale: 1,
+  offset: 0,
+  dataType: "float",
+  noData: -32768,
+};
+var encodingDataTypes = [
+  "byte",
+  "int8",
+  "uint8",
+  "int16",
+  "uint16",
+  "int32",
+  "uint32",
+  "int64",
+  "float",
+  "double",
+];
+
+//Function to fill in any missing encoding fields from the ".default" encoding
+//(and missing ".default" fields from defaultBandEncoding)
+function normalizeEncodingSchema(schema) {
+  function fillEncoding(encoding, fill) {
+    var out = {};
+    Object.keys(fill).forEach(function (key) {
+      out[key] =
+        encoding[key] === undefined || encoding[key] === null
+          ? fill[key]
+          : encoding[key];
+    });
+    if (encodingDataTypes.indexOf(out.dataType) === -1) {
+      throw new Error(
+        "normalizeEncodingSchema: unknown dataType " +
+          out.dataType +
+          ". Options are: " +
+          encodingDataTypes.join(", ")
+      );
+    }
+    return out;
+  }
+  var defaultEncoding = fillEncoding(
+    schema[".default"] || {},
+    defaultBandEncoding
+  );
+  var out = { ".default": defaultEncoding };
+  Object.keys(schema).forEach(function (key) {
+    if (key !== ".default") {
+      out[key] = fillEncoding(schema[key], defaultEncoding);
+    }
+  });
+  return out;
+}
+
+//Function to get an encoding schema that scales all bands by scaleFactor except nonDivideBands
+//This is how composites are stored by exportCompositeCollection by default
+function getScaledEncodingSchema(
+  scaleFactor,
+  nonDivideBands,
+  dataType,
+  noData
+) {
+  if (dataType === undefined || dataType === null) {
+    dataType = "int16";
+  }
+  if (noData === undefined || noData === null) {
+    noData = -32768;
+  }
+  var schema = {
+    ".default": {
+      scale: scaleFactor,
+      offset: 0,
+      dataType: dataType,
+      noData: noData,
+    },
+  };
+  if (nonDivideBands !== undefined && nonDivideBands !== null) {
+    nonDivideBands.forEach(function (bandName) {
+      schema[bandName] = { scale: 1 };
+    });
+  }
+  return normalizeEncodingSchema(schema);
+}
+
+//Function to resolve the encoding of each band from a schema
+//Returns an ee.Dictionary of band name to encoding
+function resolveBandEncodings(schema, bandNames) {
+  schema = normalizeEncodingSchema(schema);
+  var keys = Object.keys(schema).filter(function (key) {
+    return key !== ".default";
+  });
+  bandNames = ee.List(bandNames);
+  var encodings = bandNames.map(function (bandName) {
+    var encoding = ee.Dictionary(schema[".default"]);
+    //Apply the keys in reverse so the first matching key wins
+    keys
+      .slice()
+      .reverse()
+      .forEach(function (key) {
+        var matches = ee
+          .String(bandName)
+          .match("^(" + key + ")$")
+          .length()
+          .gt(0);
+        encoding = ee.Dictionary(
+          ee.Algorithms.If(matches, ee.Dictionary(schema[key]), encoding)
+        );
+      });
+    return encoding;
+  });
+  return ee.Dictionary.fromLists(bandNames, encodings);
+}
+
+//Function to get a constant image of one encoding field for each band
+function getEncodingImage(bandEncodings, bandNames, field) {
+  bandNames = ee.List(bandNames);
+  var values = bandNames.map(function (bandName) {
+    return ee.Dictionary(bandEncodings.get(bandName)).get(field);
+  });
+  return ee.Image.constant(values).rename(bandNames);
+}
+
+//Function to record the resolved per-band encodings of a schema as the encodingSchema property
+//Use this for images whose values were already encoded by other means
+function setEncodingSchema(image, schema) {
+  var bandEncodings = resolveBandEncodings(schema, image.bandNames());
+  return image.set("encodingSchema", ee.String.encodeJSON(bandEncodings));
+}
+
+//Function to encode an image for export using an encoding schema
+//Masked pixels stay masked. The noData values are used by file exports and setNoData
+function encodeImage(image, schema) {
+  var bandNames = image.bandNames();
+  var bandEncodings = resolveBandEncodings(schema, bandNames);
+  var dataTypes = ee.Dictionary.fromLists(
+    bandNames,
+    bandNames.map(function (bandName) {
+      return ee.Dictionary(bandEncodings.get(bandName)).get("dataType");
+    })
+  );
+  var encoded = image
+    .subtract(getEncodingImage(bandEncodings, bandNames, "offset"))
+    .multiply(getEncodingImage(bandEncodings, bandNames, "scale"))
+    .cast(dataTypes);
+  encoded = ee.Image(encoded.copyProperties(image, image.propertyNames()));
+  return encoded.set("encodingSchema", ee.String.encodeJSON(bandEncodings));
+}
+
+//Function to restore physical units of an encoded image
+//Uses the encodingSchema property unless a schema is provided
+//Images without an encodingSchema property are returned unchanged if no schema is provided
+//noData values are masked and bands without an encoding are left as is
+function decodeImage(image, schema) {
+  image = ee.Image(image);
+  if (schema === undefined || schema === null) {
+    return ee.Image(
+      ee.Algorithms.If(
+        image.propertyNames().contains("encodingSchema"),
+        decodeImageWithBandEncodings(
+          image,
+          ee.Dictionary(ee.String(image.get("encodingSchema")).decodeJSON())
+        ),
+        image
+      )
+    );
+  }
+  return decodeImageWithBandEncodings(
+    image,
+    resolveBandEncodings(schema, image.bandNames())
+  );
+}
+
+//Function to decode an image using resolved band encodings (see resolveBandEncodings)
+function decodeImageWithBandEncodings(image, bandEncodings) {
+  var decodeBands = image
+    .bandNames()
+    .filter(ee.Filter.inList("item", bandEncodings.keys()));
+  var encoded = image.select(decodeBands);
+  var decoded = encoded
+    .updateMask(
+      encoded.neq(getEncodingImage(bandEncodings, decodeBands, "noData"))
+    )
+    .divide(getEncodingImage(bandEncodings, decodeBands, "scale"))
+    .add(getEncodingImage(bandEncodings, decodeBands, "offset"))
+    .float();
+  //Remove the encoding so the image is not decoded twice
+  return image.addBands(decoded, null, true).set("encodingSchema", null);
+}
+
+//Function to restore physical units of every image in an encoded collection
+function decodeCollection(collection, schema) {
+  return collection.map(function (img) {
+    return decodeImage(img, schema);
+  });
+}
+//////////////////////////////////////////////////
 //Function to set null value for export or conversion to arrays
 //See default args below
-//Must provide image and noDataValue - there are no defaults
+//Must provide image. If noDataValue is not provided, the noData values of the image's
+//encodingSchema property are used (see encodeImage)
 //Example usage: setNoData(anEEImage,-32768) or setNoData({'image':anEEImage,'noDataValue':-32768})
 function setNoData() {
   var defaultArgs = {
@@ -431,7 +1005,16 @@ function setNoData() {
   };
   var args = prepArgumentsObject(arguments, defaultArgs);
 
-  return args.image.unmask(args.noDataValue, false).set(args);
+  var noDataValue = args.noDataValue;
+  if (noDataValue === null) {
+    var bandNames = args.image.bandNames();
+    noDataValue = getEncodingImage(
+      ee.Dictionary(ee.String(args.image.get("encodingSchema")).decodeJSON()),
+      bandNames,
+      "noData"
+    );
+  }
+  return args.image.unmask(noDataValue, false).set(args);
 }
 /////////////////////////////////////////////////////////////////
 /////////////////////////////////////////////////////////////////////////////////
@@ -680,7 +1263,7 @@ function addSensorBand(img, whichProgram, toaOrSR) {
     .addBands(
       ee.Image.constant(sensorDict.get(sensorName)).rename(["sensor"]).byte()
     )
-    .set("sensor", sensorName);
+    .set({ sensor: sensorName, toaOrSR: toaOrSR });
   return img;
 }
 /////////////////////////////////////////////////////////////////
@@ -1219,88 +1802,607 @@ function getS1(
   return collection;
 }
 //////////////////////////////////////////////////////
-//Function for acquiring Sentinel2 imagery
-//See default arguments below
-//Required arguments: studyArea,startDate,endDate,startJulian,endJulian
-//Can be called on with parameters as an object or ordered set of parameters
+// Sentinel-1 GRD preprocessing
+// Adapted from the approaches outlined in:
+// Mullissa et al 2021 (https://doi.org/10.3390/rs13101954)
+// Vollrath et al 2020 (https://doi.org/10.3390/rs12111867)
+// Hird et al 2017 (https://doi.org/10.3390/rs9121315)
+// COPERNICUS/S1_GRD is provided in dB with an incidence angle band
+var s1AngleBandName = "angle";
+
+// Method for masking the noisy swath borders of S1 GRD scenes
+// Removes low incidence angle near range, high incidence angle far range, and very low backscatter
+// values along the edges of older scenes that were processed prior to border noise removal by ESA
+// Expects img to be in dB
+function s1BorderNoiseMask(img, minAngle, maxAngle, dbThresh) {
+  if (minAngle === undefined || minAngle === null) {
+    minAngle = 30.63993;
+  }
+  if (maxAngle === undefined || maxAngle === null) {
+    maxAngle = 45.23993;
+  }
+  if (dbThresh === undefined || dbThresh === null) {
+    dbThresh = -30;
+  }
+  var angle = img.select([s1AngleBandName]);
+  var bandNames = img.bandNames().remove(s1AngleBandName);
+  var edgeMask = img
+    .select(bandNames)
+    .gt(dbThresh)
+    .reduce(ee.Reducer.min())
+    .and(angle.gt(minAngle))
+    .and(angle.lt(maxAngle));
+  return img.updateMask(edgeMask);
+}
+//Convert all backscatter bands from dB to natural units
+//The angle band is left as is
+function s1DBToNatural(img) {
+  var bandNames = img.bandNames().remove(s1AngleBandName);
+  return img.addBands(
+    ee.Image(10.0).pow(img.select(bandNames).divide(10.0)),
+    null,
+    true
+  );
+}
+////////////////////////////////////////////////////
+//Simple boxcar (moving window mean) speckle filter
+//img must be in natural units
+function boxcarFilter(img, kernelSize) {
+  if (kernelSize === undefined || kernelSize === null) {
+    kernelSize = 7;
+  }
+  var bandNames = img.bandNames().remove(s1AngleBandName);
+  var filtered = img
+    .select(bandNames)
+    .reduceNeighborhood(
+      ee.Reducer.mean(),
+      ee.Kernel.square(kernelSize / 2, "pixels"),
+      null,
+      true,
+      "window"
+    )
+    .rename(bandNames);
+  return img.addBands(filtered, null, true);
+}
+////////////////////////////////////////////////////
+//Gamma Maximum A Posteriori speckle filter (Lopes et al 1990)
+//Adapted from: https://github.com/adugnag/gee_s1_ard
+//img must be in natural units
+//enl is the equivalent number of looks (5 for S1 IW GRD)
+function gammaMapFilter(img, kernelSize, enl) {
+  if (kernelSize === undefined || kernelSize === null) {
+    kernelSize = 7;
+  }
+  if (enl === undefined || enl === null) {
+    enl = 5;
+  }
+  var bandNames = img.bandNames().remove(s1AngleBandName);
 
-var s2CollectionDict = {
-  TOA: "COPERNICUS/S2_HARMONIZED",
-  SR: "COPERNICUS/S2_SR_HARMONIZED",
-};
+  //Neighborhood stats
+  var reducers = ee.Reducer.mean().combine({
+    reducer2: ee.Reducer.stdDev(),
+    sharedInputs: true,
+  });
+  var stats = img.select(bandNames).reduceNeighborhood({
+    reducer: reducers,
+    kernel: ee.Kernel.square(kernelSize / 2, "pixels"),
+    optimization: "window",
+  });
+  var meanBands = bandNames.map(function (bn) {
+    return ee.String(bn).cat("_mean");
+  });
+  var stdDevBands = bandNames.map(function (bn) {
+    return ee.String(bn).cat("_stdDev");
+  });
+  var z = stats.select(meanBands);
+  var sigz = stats.select(stdDevBands);
+
+  //Local observed coefficient of variation
+  var ci = sigz.divide(z);
+  //Noise coefficient of variation and the threshold for the observed coefficient of variation
+  var cu = ee.Image.constant(1.0 / Math.sqrt(enl));
+  var cmax = ee.Image.constant(Math.sqrt(2.0) / Math.sqrt(enl));
+  var enlImg = ee.Image.constant(enl);
+
+  var alpha = ee
+    .Image(1)
+    .add(cu.pow(2))
+    .divide(ci.pow(2).subtract(cu.pow(2)));
+
+  //Discriminant of the Gamma MAP estimate (Lopes et al 1990):
+  //rHat = ((alpha - enl - 1) * z + sqrt(z**2 * (alpha - enl - 1)**2 + 4 * alpha * enl * I * z)) / (2 * alpha)
+  //where z is the local mean and I is the pixel intensity
+  var q = img
+    .select(bandNames)
+    .expression("z**2 * (alpha - enl - 1)**2 + 4 * alpha * enl * I * z", {
+      z: z,
+      alpha: alpha,
+      enl: enl,
+      I: img.select(bandNames),
+    });
+  var rHat = z
+    .multiply(alpha.subtract(enlImg).subtract(1))
+    .add(q.sqrt())
+    .divide(alpha.multiply(2));
+
+  //Homogeneous areas get the mean, textured areas get the Gamma MAP estimate,
+  //and point targets are retained
+  var zHat = z.updateMask(ci.lte(cu)).rename(bandNames);
+  rHat = rHat.updateMask(ci.gt(cu)).updateMask(ci.lt(cmax)).rename(bandNames);
+  var x = img.select(bandNames).updateMask(ci.gte(cmax)).rename(bandNames);
+
+  var filtered = ee.ImageCollection([zHat, rHat, x]).sum();
+  return img.addBands(filtered, null, true);
+}
+////////////////////////////////////////////////////
+//Wrapper for applying any of the available speckle filters
+//Supported speckleFilter options: 'refinedLee', 'boxcar', 'gammaMap'
+//bandNames must be a client-side list of the backscatter bands in img
+//img must be in natural units
+function s1SpeckleFilter(img, speckleFilter, bandNames, kernelSize, enl) {
+  if (speckleFilter === "refinedLee") {
+    //RefinedLee only handles a single band at a time with a fixed 7x7 window
+    var filtered = ee.Image(
+      bandNames.map(function (bn) {
+        return RefinedLee(img.select([bn])).rename([bn]);
+      })
+    );
+    return img.addBands(filtered, null, true);
+  } else if (speckleFilter === "boxcar") {
+    return boxcarFilter(img, kernelSize);
+  } else if (speckleFilter === "gammaMap") {
+    return gammaMapFilter(img, kernelSize, enl);
+  }
+  return img;
+}
+////////////////////////////////////////////////////
+//Radiometric terrain flattening of S1 backscatter
+//Adapted from Vollrath et al 2020 and https://github.com/adugnag/gee_s1_ard
+//Converts sigma0 to terrain flattened gamma0 using either the 'volume' or 'surface' scattering model
+//Also masks out active layover and shadow areas
+//img must be in natural units
+function s1TerrainFlatten(img, dem, model, layoverShadowBuffer) {
+  if (model === undefined || model === null) {
+    model = "volume";
+  }
+  if (layoverShadowBuffer === undefined || layoverShadowBuffer === null) {
+    layoverShadowBuffer = 0;
+  }
+  if (typeof dem === "string") {
+    dem = ee.Image(dem);
+  }
+  var ninetyRad = ee.Image.constant(90).multiply(Math.PI / 180);
+  var bandNames = img.bandNames().remove(s1AngleBandName);
+  var geom = img.geometry();
+
+  //Get the look angles
+  var theta_iRad = img.select([s1AngleBandName]).multiply(Math.PI / 180);
+  var heading = ee.Terrain.aspect(img.select([s1AngleBandName]))
+    .reduceRegion(ee.Reducer.mean(), geom, 1000)
+    .get("aspect");
+  var phi_iRad = ee.Image.constant(heading).multiply(Math.PI / 180);
+
+  //Get the terrain angles
+  var elevation = dem
+    .resample("bilinear")
+    .reproject(img.select([0]).projection().crs(), null, 10)
+    .clip(geom);
+  var alpha_sRad = ee.Terrain.slope(elevation).multiply(Math.PI / 180);
+  var phi_sRad = ee.Terrain.aspect(elevation).multiply(Math.PI / 180);
+
+  //Find the terrain angles relative to the range and azimuth directions
+  var phi_rRad = phi_iRad.subtract(phi_sRad);
+  var alpha_rRad = alpha_sRad.tan().multiply(phi_rRad.cos()).atan();
+  var alpha_azRad = alpha_sRad.tan().multiply(phi_rRad.sin()).atan();
+
+  //Gamma nought
+  var gamma0 = img.select(bandNames).divide(theta_iRad.cos());
+
+  //Slope correction factor
+  var scf;
+  if (model === "surface") {
+    scf = ninetyRad
+      .subtract(theta_iRad)
+      .cos()
+      .divide(
+        alpha_azRad
+          .cos()
+          .multiply(ninetyRad.subtract(theta_iRad).add(alpha_rRad).cos())
+      );
+  } else {
+    scf = ninetyRad
+      .subtract(theta_iRad)
+      .add(alpha_rRad)
+      .tan()
+      .divide(ninetyRad.subtract(theta_iRad).tan());
+  }
+  var gamma0Flat = gamma0.divide(scf).rename(bandNames);
 
-var sensorBandDict = {
-  SR: [
-    "B1",
-    "B2",
-    "B3",
-    "B4",
-    "B5",
-    "B6",
-    "B7",
-    "B8",
-    "B8A",
-    "B9",
-    "B11",
-    "B12",
-  ],
-  TOA: [
-    "B1",
-    "B2",
-    "B3",
-    "B4",
-    "B5",
-    "B6",
-    "B7",
-    "B8",
-    "B8A",
-    "B9",
-    "B10",
-    "B11",
-    "B12",
-  ],
-};
-var sensorBandNameDict = {
-  SR: [
-    "cb",
-    "blue",
-    "green",
-    "red",
-    "re1",
-    "re2",
-    "re3",
-    "nir",
-    "nir2",
-    "waterVapor",
-    "swir1",
-    "swir2",
-  ],
-  TOA: [
-    "cb",
-    "blue",
-    "green",
-    "red",
-    "re1",
-    "re2",
-    "re3",
-    "nir",
-    "nir2",
-    "waterVapor",
-    "cirrus",
-    "swir1",
-    "swir2",
-  ],
+  //Mask active layover and shadow
+  var layover = alpha_rRad.lt(theta_iRad);
+  var shadow = alpha_rRad.gt(
+    ee.Image.constant(-1).multiply(ninetyRad.subtract(theta_iRad))
+  );
+  var layoverShadowMask = layover.and(shadow);
+  if (layoverShadowBuffer > 0) {
+    var distance = layoverShadowMask
+      .not()
+      .unmask(1)
+      .fastDistanceTransform(30)
+      .sqrt()
+      .multiply(ee.Image.pixelArea().sqrt());
+    layoverShadowMask = layoverShadowMask.and(distance.gt(layoverShadowBuffer));
+  }
+
+  return img
+    .addBands(gamma0Flat, null, true)
+    .updateMask(layoverShadowMask)
+    .set("terrainFlatteningModel", model);
+}
+////////////////////////////////////////////////////
+//Function to add the cross-pol ratio and dual-pol radar vegetation index (RVI)
+//Expects both VV and VH bands in natural units
+//The ratio is VV/VH in natural units (VV-VH in dB)
+//RVI = 4*VH/(VV+VH) (Trudel et al 2012)
+function addS1Ratios(img) {
+  var vv = img.select(["VV"]);
+  var vh = img.select(["VH"]);
+  var ratio = vv.divide(vh).rename(["VV_VH_ratio"]);
+  var rvi = vh.multiply(4).divide(vv.add(vh)).rename(["RVI"]);
+  return img.addBands(ratio).addBands(rvi);
+}
+////////////////////////////////////////////////////
+//Wrapper function for getting processed Sentinel-1 GRD scenes
+//See default arguments below
+//Required arguments: studyArea,startYear,endYear,startJulian,endJulian
+//speckleFilter options: null (no filtering), 'refinedLee', 'boxcar', 'gammaMap'
+//terrainFlatteningModel options: 'volume', 'surface'
+//If outputDB is true, backscatter and the VV_VH_ratio bands are returned in dB, otherwise in natural units
+var sentinel1SceneArgSchema = {
+  studyArea: { type: "ee", required: true },
+  startYear: { type: "number", required: true },
+  endYear: { type: "number", required: true },
+  startJulian: { type: "number", required: true },
+  endJulian: { type: "number", required: true },
+  polarizations: { type: "array", values: ["VV", "VH"] },
+  passDirections: {
+    type: ["array", "string"],
+    values: ["ASCENDING", "DESCENDING"],
+    ignoreCase: true,
+  },
+  applyBorderNoiseCorrection: { type: "boolean" },
+  speckleFilter: {
+    type: "string",
+    values: ["refinedLee", "boxcar", "gammaMap"],
+  },
+  speckleFilterKernelSize: { type: "number" },
+  gammaMapENL: { type: "number" },
+  applyTerrainFlattening: { type: "boolean" },
+  terrainFlatteningModel: { type: "string", values: ["volume", "surface"] },
+  terrainFlatteningDEM: { type: ["string", "ee"] },
+  layoverShadowBuffer: { type: "number" },
+  addRatioBands: { type: "boolean" },
+  outputDB: { type: "boolean" },
 };
-function getS2() {
+function getProcessedSentinel1Scenes() {
   var defaultArgs = {
     studyArea: null,
-    startDate: null,
-    endDate: null,
+    startYear: null,
+    endYear: null,
     startJulian: null,
     endJulian: null,
-    resampleMethod: "aggregate",
-    toaOrSR: "TOA",
-    convertToDailyMosaics: true,
+    polarizations: ["VV", "VH"],
+    passDirections: ["ASCENDING", "DESCENDING"],
+    applyBorderNoiseCorrection: true,
+    borderNoiseMinAngle: 30.63993,
+    borderNoiseMaxAngle: 45.23993,
+    borderNoiseThresh: -30,
+    speckleFilter: "refinedLee",
+    speckleFilterKernelSize: 7,
+    gammaMapENL: 5,
+    applyTerrainFlattening: true,
+    terrainFlatteningModel: "volume",
+    terrainFlatteningDEM: "USGS/SRTMGL1_003",
+    layoverShadowBuffer: 0,
+    addRatioBands: true,
+    outputDB: true,
+  };
+
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    sentinel1SceneArgSchema,
+    "getProcessedSentinel1Scenes"
+  );
+  args.origin = "Sentinel1";
+  if (typeof args.passDirections === "string") {
+    args.passDirections = [args.passDirections];
+  }
+  args.passDirections = args.passDirections.map(function (p) {
+    return p.toUpperCase();
+  });
+  print(args);
+
+  // Prepare dates
+  //Wrap the dates if needed
+  args.wrapOffset = 0;
+  if (args.startJulian > args.endJulian) {
+    args.wrapOffset = 365;
+  }
+  args.startDate = ee.Date.fromYMD(args.startYear, 1, 1).advance(
+    args.startJulian - 1,
+    "day"
+  );
+  args.endDate = ee.Date.fromYMD(args.endYear, 1, 1).advance(
+    args.endJulian - 1 + args.wrapOffset,
+    "day"
+  );
+  print("Start and end dates:", args.startDate, args.endDate);
+
+  //Get all IW scenes that have every polarization requested
+  var s1s = ee
+    .ImageCollection("COPERNICUS/S1_GRD")
+    .filterDate(args.startDate, args.endDate.advance(1, "day"))
+    .filter(ee.Filter.calendarRange(args.startJulian, args.endJulian))
+    .filterBounds(args.studyArea)
+    .filter(ee.Filter.eq("instrumentMode", "IW"))
+    .filter(ee.Filter.eq("resolution_meters", 10))
+    .filter(ee.Filter.inList("orbitProperties_pass", args.passDirections));
+  args.polarizations.map(function (p) {
+    s1s = s1s.filter(
+      ee.Filter.listContains("transmitterReceiverPolarisation", p)
+    );
+  });
+  s1s = s1s.select(args.polarizations.concat([s1AngleBandName]));
+
+  if (args.applyBorderNoiseCorrection) {
+    print("Applying S1 border noise correction");
+    s1s = s1s.map(function (img) {
+      return s1BorderNoiseMask(
+        img,
+        args.borderNoiseMinAngle,
+        args.borderNoiseMaxAngle,
+        args.borderNoiseThresh
+      );
+    });
+  }
+
+  //All filtering and flattening is performed in natural units
+  s1s = s1s.map(s1DBToNatural);
+
+  if (args.speckleFilter !== null && args.speckleFilter !== undefined) {
+    print("Applying speckle filter:", args.speckleFilter);
+    s1s = s1s.map(function (img) {
+      return s1SpeckleFilter(
+        img,
+        args.speckleFilter,
+        args.polarizations,
+        args.speckleFilterKernelSize,
+        args.gammaMapENL
+      );
+    });
+  }
+
+  if (args.applyTerrainFlattening) {
+    print("Applying terrain flattening:", args.terrainFlatteningModel);
+    s1s = s1s.map(function (img) {
+      return s1TerrainFlatten(
+        img,
+        args.terrainFlatteningDEM,
+        args.terrainFlatteningModel,
+        args.layoverShadowBuffer
+      );
+    });
+  }
+
+  var dualPol =
+    args.polarizations.indexOf("VV") > -1 &&
+    args.polarizations.indexOf("VH") > -1;
+  if (args.addRatioBands && dualPol) {
+    print("Adding VV_VH_ratio and RVI");
+    s1s = s1s.map(addS1Ratios);
+  }
+
+  if (args.outputDB) {
+    s1s = s1s.map(function (img) {
+      var dbBands = img.bandNames().removeAll([s1AngleBandName, "RVI"]);
+      return img.addBands(
+        img.select(dbBands).log10().multiply(10.0),
+        null,
+        true
+      );
+    });
+  }
+
+  s1s = s1s.map(function (img) {
+    return img.float();
+  });
+
+  return s1s.set(args);
+}
+/////////////////////////////////////////////////////////////////////
+//Wrapper function for getting Sentinel-1 scenes and composites
+//See default arguments below
+//Required arguments: studyArea,startYear,endYear,startJulian,endJulian, crs, scale or transform
+var sentinel1WrapperArgSchema = copyObj(sentinel1SceneArgSchema);
+sentinel1WrapperArgSchema.timebuffer = { type: "number" };
+sentinel1WrapperArgSchema.weights = { type: "array" };
+sentinel1WrapperArgSchema.compositingMethod = {
+  type: "string",
+  values: ["medoid", "median", "geometricMedian"],
+  ignoreCase: true,
+};
+sentinel1WrapperArgSchema.exportComposites = { type: "boolean" };
+sentinel1WrapperArgSchema.outputName = { type: "string" };
+sentinel1WrapperArgSchema.exportPathRoot = { type: "string" };
+sentinel1WrapperArgSchema.crs = { type: "string" };
+sentinel1WrapperArgSchema.transform = { type: "array" };
+sentinel1WrapperArgSchema.scale = { type: "number" };
+function getSentinel1Wrapper() {
+  var defaultArgs = {
+    studyArea: null,
+    startYear: null,
+    endYear: null,
+    startJulian: null,
+    endJulian: null,
+    timebuffer: 0,
+    weights: [1],
+    compositingMethod: "median",
+    polarizations: ["VV", "VH"],
+    passDirections: ["ASCENDING", "DESCENDING"],
+    applyBorderNoiseCorrection: true,
+    borderNoiseMinAngle: 30.63993,
+    borderNoiseMaxAngle: 45.23993,
+    borderNoiseThresh: -30,
+    speckleFilter: "refinedLee",
+    speckleFilterKernelSize: 7,
+    gammaMapENL: 5,
+    applyTerrainFlattening: true,
+    terrainFlatteningModel: "volume",
+    terrainFlatteningDEM: "USGS/SRTMGL1_003",
+    layoverShadowBuffer: 0,
+    addRatioBands: true,
+    outputDB: true,
+    exportComposites: false,
+    outputName: "Sentinel1-Composite",
+    exportPathRoot: "users/iwhousman/test",
+    crs: "EPSG:5070",
+    transform: [10, 0, -2361915.0, 0, -10, 3177735.0],
+    scale: null,
+  };
+
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    sentinel1WrapperArgSchema,
+    "getSentinel1Wrapper"
+  );
+  args.origin = "Sentinel1";
+
+  var s1s = getProcessedSentinel1Scenes(args);
+
+  //Medoid is computed using the backscatter bands
+  args.medoidIncludeBands = args.polarizations;
+
+  // Create composite time series
+  args.ls = s1s;
+  var ts = compositeTimeSeries(args);
+  args.collection = ts;
+
+  //Export composites
+  if (args.exportComposites) {
+    var dualPol =
+      args.polarizations.indexOf("VV") > -1 &&
+      args.polarizations.indexOf("VH") > -1;
+    args.exportBands = args.polarizations.slice();
+    if (args.addRatioBands && dualPol) {
+      args.exportBands = args.exportBands.concat(["VV_VH_ratio", "RVI"]);
+    }
+    args.exportBands.push("compositeObsCount");
+    args.nonDivideBands = ["compositeObsCount"];
+    if (args.compositingMethod.toLowerCase() === "medoid") {
+      args.exportBands = args.exportBands.concat(["year", "julianDay"]);
+      args.nonDivideBands = args.nonDivideBands.concat(["year", "julianDay"]);
+    }
+    //dB values need a smaller multiplier to fit into int16
+    args.scaleFactor = args.outputDB ? 100 : 10000;
+    //toaOrSR is used in the export name
+    args.toaOrSR = "GRD";
+    exportCompositeCollection(args);
+  }
+  args.processedScenes = s1s;
+  args.processedComposites = ts;
+  return args;
+}
+//////////////////////////////////////////////////////
+//Function for acquiring Sentinel2 imagery
+//See default arguments below
+//Required arguments: studyArea,startDate,endDate,startJulian,endJulian
+//Can be called on with parameters as an object or ordered set of parameters
+
+var s2CollectionDict = {
+  TOA: "COPERNICUS/S2_HARMONIZED",
+  SR: "COPERNICUS/S2_SR_HARMONIZED",
+};
+
+var sensorBandDict = {
+  SR: [
+    "B1",
+    "B2",
+    "B3",
+    "B4",
+    "B5",
+    "B6",
+    "B7",
+    "B8",
+    "B8A",
+    "B9",
+    "B11",
+    "B12",
+  ],
+  TOA: [
+    "B1",
+    "B2",
+    "B3",
+    "B4",
+    "B5",
+    "B6",
+    "B7",
+    "B8",
+    "B8A",
+    "B9",
+    "B10",
+    "B11",
+    "B12",
+  ],
+};
+var sensorBandNameDict = {
+  SR: [
+    "cb",
+    "blue",
+    "green",
+    "red",
+    "re1",
+    "re2",
+    "re3",
+    "nir",
+    "nir2",
+    "waterVapor",
+    "swir1",
+    "swir2",
+  ],
+  TOA: [
+    "cb",
+    "blue",
+    "green",
+    "red",
+    "re1",
+    "re2",
+    "re3",
+    "nir",
+    "nir2",
+    "waterVapor",
+    "cirrus",
+    "swir1",
+    "swir2",
+  ],
+};
+// QA bands to keep for each S2 collection
+// The scene classification (SCL) band is only available for SR
+var s2QABandDict = {
+  TOA: ["QA60"],
+  SR: ["QA60", "SCL"],
+};
+function getS2() {
+  var defaultArgs = {
+    studyArea: null,
+    startDate: null,
+    endDate: null,
+    startJulian: null,
+    endJulian: null,
+    resampleMethod: "aggregate",
+    toaOrSR: "TOA",
+    convertToDailyMosaics: true,
     addCloudProbability: false, //LSC
     addCloudScorePlus: true,
     cloudScorePlusScore: "cs",
@@ -1324,8 +2426,8 @@ function getS2() {
       return img.addBands(t, null, true);
     })
     .select(
-      ["QA60"].concat(sensorBandDict[args.toaOrSR]),
-      ["QA60"].concat(sensorBandNameDict[args.toaOrSR])
+      s2QABandDict[args.toaOrSR].concat(sensorBandDict[args.toaOrSR]),
+      s2QABandDict[args.toaOrSR].concat(sensorBandNameDict[args.toaOrSR])
     );
   // .map(function(img){return img.resample('bicubic') }) ;
 
@@ -1897,21 +2999,9 @@ function projectShadowsWrapper() {
 //////////////////////////////////////////////////////
 //////////////////////////////////////////////////////////////////////////
 // Function to mask clouds using the Sentinel-2 QA band.
+// Bits 10 and 11 are clouds and cirrus, respectively.
 function maskS2clouds(image) {
-  var qa = image.select("QA60").int16();
-
-  // Bits 10 and 11 are clouds and cirrus, respectively.
-  var cloudBitMask = Math.pow(2, 10);
-  var cirrusBitMask = Math.pow(2, 11);
-
-  // Both flags should be set to zero, indicating clear conditions.
-  var mask = qa
-    .bitwiseAnd(cloudBitMask)
-    .eq(0)
-    .and(qa.bitwiseAnd(cirrusBitMask).eq(0));
-
-  // Return the masked and scaled data.
-  return image.updateMask(mask);
+  return applyQAMask(image, "S2_QA60", ["opaqueCloud", "cirrus"]);
 }
 //////////////////////////////////////////////////////
 //////////////////////////////////////////////////////////////////////////
@@ -2024,7 +3114,175 @@ function applyCloudScoreAlgorithm(
   return collection;
 }
 ////////////////////////////////////////////////////////////////////////////////
+// Declarative QA band decoding
+// Each entry describes the QA band of a given collection
+// Bit flags are given as the starting bit and the number of bits (defaults to 1)
+// Single bit flags decode to 0/1 bands and multi-bit flags (e.g. confidence) decode to their integer value
+// Classification bands (e.g. S2 SCL) are described with class values instead of bits and decode to 0/1 bands
+// Confidence values for Landsat are 0: none, 1: low, 2: medium, and 3: high
+var qaBitSpecDict = {
+  // Landsat Collection 1 SR pixel_qa
+  C1_pixel_qa: {
+    band: "pixel_qa",
+    flags: {
+      fill: { bit: 0 },
+      clear: { bit: 1 },
+      water: { bit: 2 },
+      shadow: { bit: 3 },
+      snow: { bit: 4 },
+      cloud: { bit: 5 },
+      cloudConfidence: { bit: 6, nBits: 2 },
+      cirrusConfidence: { bit: 8, nBits: 2 },
+      terrainOcclusion: { bit: 10 },
+    },
+  },
+  // Landsat Collection 2 QA_PIXEL
+  C2_QA_PIXEL: {
+    band: "QA_PIXEL",
+    flags: {
+      fill: { bit: 0 },
+      dilatedCloud: { bit: 1 },
+      cirrus: { bit: 2 },
+      cloud: { bit: 3 },
+      shadow: { bit: 4 },
+      snow: { bit: 5 },
+      clear: { bit: 6 },
+      water: { bit: 7 },
+      cloudConfidence: { bit: 8, nBits: 2 },
+      shadowConfidence: { bit: 10, nBits: 2 },
+      snowConfidence: { bit: 12, nBits: 2 },
+      cirrusConfidence: { bit: 14, nBits: 2 },
+    },
+  },
+  // Landsat Collection 2 QA_RADSAT
+  // Band numbers follow each sensor's own band numbering
+  C2_QA_RADSAT: {
+    band: "QA_RADSAT",
+    flags: {
+      saturated: { bit: 0, nBits: 7 },
+      saturatedBand1: { bit: 0 },
+      saturatedBand2: { bit: 1 },
+      saturatedBand3: { bit: 2 },
+      saturatedBand4: { bit: 3 },
+      saturatedBand5: { bit: 4 },
+      saturatedBand6: { bit: 5 },
+      saturatedBand7: { bit: 6 },
+      saturatedBand9: { bit: 8 },
+      droppedPixel: { bit: 9 },
+      terrainOcclusion: { bit: 11 },
+    },
+  },
+  // Sentinel 2 QA60 (no longer populated after ~Feb 2024)
+  S2_QA60: {
+    band: "QA60",
+    flags: {
+      opaqueCloud: { bit: 10 },
+      cirrus: { bit: 11 },
+    },
+  },
+  // Sentinel 2 scene classification (SR only)
+  S2_SCL: {
+    band: "SCL",
+    classes: {
+      noData: 0,
+      saturatedDefective: 1,
+      darkArea: 2,
+      cloudShadow: 3,
+      vegetation: 4,
+      notVegetated: 5,
+      water: 6,
+      unclassified: 7,
+      cloudMedium: 8,
+      cloudHigh: 9,
+      thinCirrus: 10,
+      snow: 11,
+    },
+  },
+  // MODIS MOD09GA/MYD09GA state_1km
+  // cloudState is 0: clear, 1: cloudy, 2: mixed, 3: not set
+  MODIS_state_1km: {
+    band: "state_1km",
+    flags: {
+      cloudState: { bit: 0, nBits: 2 },
+      cloudShadow: { bit: 2 },
+      landWater: { bit: 3, nBits: 3 },
+      aerosolQuantity: { bit: 6, nBits: 2 },
+      cirrus: { bit: 8, nBits: 2 },
+      internalCloud: { bit: 10 },
+      internalFire: { bit: 11 },
+      snowIce: { bit: 12 },
+      adjacentCloud: { bit: 13 },
+      brdfCorrected: { bit: 14 },
+      internalSnow: { bit: 15 },
+    },
+  },
+};
+// Name of the QA bit spec for Landsat Collections 1 and 2
+var landsatQASpecDict = { C1: "C1_pixel_qa", C2: "C2_QA_PIXEL" };
+
+// Function to decode a QA band into named bands
+// qaSpecName is a key in qaBitSpecDict (e.g. 'C2_QA_PIXEL')
+// flagNames is an optional list of flags/classes to decode. All are decoded if not provided
+// Example usage: decodeQABits(img,'C2_QA_PIXEL',['cloud','dilatedCloud','cloudConfidence'])
+function decodeQABits(img, qaSpecName, flagNames) {
+  var spec = qaBitSpecDict[qaSpecName];
+  if (spec === undefined) {
+    throw new Error(
+      "decodeQABits: unknown qaSpecName " +
+        qaSpecName +
+        ". Options are: " +
+        Object.keys(qaBitSpecDict).join(", ")
+    );
+  }
+  var lookup = spec.classes !== undefined ? spec.classes : spec.flags;
+  if (flagNames === undefined || flagNames === null) {
+    flagNames = Object.keys(lookup);
+  }
+  var qa = img.select([spec.band]).uint16();
+
+  var decoded = flagNames.map(function (name) {
+    if (lookup[name] === undefined) {
+      throw new Error(
+        "decodeQABits: unknown flag " +
+          name +
+          " for " +
+          qaSpecName +
+          ". Options are: " +
+          Object.keys(lookup).join(", ")
+      );
+    }
+    if (spec.classes !== undefined) {
+      return qa.eq(lookup[name]).rename([name]).byte();
+    }
+    var flag = lookup[name];
+    var nBits = flag.nBits || 1;
+    return getQABits(qa, flag.bit, flag.bit + nBits - 1, name).byte();
+  });
+  return ee.Image(decoded);
+}
+
+// Function to mask an image using named QA flags
+// maskFlags can be a list of flag names (masks where any of the flags are non-zero)
+// or an object of flag names and minimum values (masks where any flag >= its value)
+// Example usage: applyQAMask(img,'C2_QA_PIXEL',['cloud','shadow']) or applyQAMask(img,'C2_QA_PIXEL',{'cloudConfidence':2})
+function applyQAMask(img, qaSpecName, maskFlags) {
+  var flagNames = Array.isArray(maskFlags) ? maskFlags : Object.keys(maskFlags);
+  var decoded = decodeQABits(img, qaSpecName, flagNames);
+  var m = ee
+    .Image(
+      flagNames.map(function (name) {
+        var flag = decoded.select([name]);
+        return Array.isArray(maskFlags)
+          ? flag.neq(0)
+          : flag.gte(maskFlags[name]);
+      })
+    )
+    .reduce(ee.Reducer.max());
+  return img.updateMask(m.not());
+}
+////////////////////////////////////////////////////////////////////////////////
 // Functions for applying fmask to SR data
+// Kept for backwards compatibility. See qaBitSpecDict for the full set of flags
 var fmaskBitDict = {
   C1: {
     cloud: 5,
@@ -2040,22 +3298,19 @@ var fmaskBitDict = {
 
 // LSC updated 4/16/19 to add medium and high confidence cloud masks
 // Supported fmaskClass options: 'cloud', 'shadow', 'snow', 'high_confidence_cloud', 'med_confidence_cloud'
+// bitMaskBandName is used to determine the collection ('pixel_qa' for C1 and 'QA_PIXEL' for C2)
 function cFmask(img, fmaskClass, bitMaskBandName) {
   if (bitMaskBandName === undefined || bitMaskBandName === null) {
     bitMaskBandName = "QA_PIXEL";
   }
-  var qa = img.select("pixel_qa").int16();
+  var qaSpecName =
+    landsatQASpecDict[reverseObj(landsatFmaskBandNameDict)[bitMaskBandName]];
   if (fmaskClass == "high_confidence_cloud") {
-    var m = qa
-      .bitwiseAnd(ee.Image(1 << 6))
-      .neq(0)
-      .And(qa.bitwiseAnd(1 << 7).neq(0));
+    return applyQAMask(img, qaSpecName, { cloudConfidence: 3 });
   } else if (fmaskClass == "med_confidence_cloud") {
-    var m = qa.bitwiseAnd(ee.Image(1 << 7)).neq(0);
-  } else {
-    var m = qa.bitwiseAnd(fmaskBitDict[fmaskClass]).neq(0);
+    return applyQAMask(img, qaSpecName, { cloudConfidence: 2 });
   }
-  return img.updateMask(m.not());
+  return applyQAMask(img, qaSpecName, [fmaskClass]);
 }
 // Method for applying a single bit bit mask
 function applyBitMask(img, bit, bitMaskBandName) {
@@ -2067,25 +3322,126 @@ function applyBitMask(img, bit, bitMaskBandName) {
   return img.updateMask(m.not());
 }
 
+// bitMaskBandName is no longer used since the QA band name is defined in qaBitSpecDict
 function cFmaskCloud(img, landsatCollectionVersion, bitMaskBandName) {
-  if (bitMaskBandName === undefined || bitMaskBandName === null) {
-    bitMaskBandName = "QA_PIXEL";
-  }
-  return applyBitMask(
-    img,
-    fmaskBitDict[landsatCollectionVersion]["cloud"],
-    bitMaskBandName
-  );
+  return applyQAMask(img, landsatQASpecDict[landsatCollectionVersion], [
+    "cloud",
+  ]);
 }
 function cFmaskCloudShadow(img, landsatCollectionVersion, bitMaskBandName) {
-  if (bitMaskBandName === undefined || bitMaskBandName === null) {
-    bitMaskBandName = "QA_PIXEL";
+  return applyQAMask(img, landsatQASpecDict[landsatCollectionVersion], [
+    "shadow",
+  ]);
+}
+////////////////////////////////////////////////////////////////////////////////
+// Functions for tracking why each pixel was masked
+// When addMaskReason is true, the scene processing functions add a uint16 maskReason band
+// with one bit per masking step. Each pixel is attributed to the first step that masked it
+// The maskReason band remains unmasked wherever the scene has data
+var maskReasonBitDict = {
+  cloudScore: 0,
+  fmaskCloud: 1,
+  fmaskCloudShadow: 2,
+  fmaskSnow: 3,
+  tdom: 4,
+  qaBand: 5,
+  sclMask: 6,
+  cloudProbability: 7,
+  cloudScorePlus: 8,
+  shadowShift: 9,
+};
+// Band used to determine whether a pixel is still valid
+var maskReasonRefBand = "nir";
+
+// Function to add an empty maskReason band to each image prior to any masking
+function initMaskReason(collection, args) {
+  if (args.addMaskReason !== true) {
+    return collection;
   }
-  return applyBitMask(
-    img,
-    fmaskBitDict[landsatCollectionVersion]["shadow"],
-    bitMaskBandName
-  );
+  if (args.maskReasons === undefined || args.maskReasons === null) {
+    args.maskReasons = [];
+  }
+  return collection.map(function (img) {
+    var maskReason = ee
+      .Image(0)
+      .uint16()
+      .updateMask(img.select([maskReasonRefBand]).mask().gt(0))
+      .rename(["maskReason"]);
+    return img.addBands(maskReason);
+  });
+}
+
+// Function to set the reasonName bit in the maskReason band for pixels that were valid
+// in the before collection, but not in the after collection
+// Images are matched using system:index
+function updateMaskReason(before, after, reasonName, args) {
+  if (args.addMaskReason !== true) {
+    return after;
+  }
+  var bit = maskReasonBitDict[reasonName];
+  if (args.maskReasons.indexOf(reasonName) === -1) {
+    args.maskReasons.push(reasonName);
+  }
+
+  var linkBands = ["maskReasonValidBefore", "maskReasonBefore"];
+  before = before.map(function (img) {
+    return img.select([maskReasonRefBand, "maskReason"], linkBands);
+  });
+  return after
+    .linkCollection(before, linkBands, [], "system:index")
+    .map(function (img) {
+      var newlyMasked = img
+        .select(["maskReasonValidBefore"])
+        .mask()
+        .gt(0)
+        .and(img.select([maskReasonRefBand]).mask().gt(0).not());
+      var maskReason = img
+        .select(["maskReasonBefore"])
+        .bitwiseOr(newlyMasked.uint16().leftShift(bit))
+        .uint16()
+        .rename(["maskReason"]);
+      var bns = img.bandNames().removeAll(linkBands);
+      return img.addBands(maskReason, null, true).select(bns);
+    });
+}
+
+// Function to get the number of observations masked by each step
+// Returns a band named <reasonName>MaskCount for each name in maskReasons
+// If maskReasons is not provided or is empty, all reasons in maskReasonBitDict are counted
+function getMaskReasonCounts(collection, maskReasons) {
+  if (
+    maskReasons === undefined ||
+    maskReasons === null ||
+    maskReasons.length === 0
+  ) {
+    maskReasons = Object.keys(maskReasonBitDict);
+  }
+  return collection
+    .map(function (img) {
+      var maskReason = img.select(["maskReason"]).uint16();
+      return ee.Image(
+        maskReasons.map(function (reasonName) {
+          var bit = maskReasonBitDict[reasonName];
+          return getQABits(maskReason, bit, bit, reasonName + "MaskCount");
+        })
+      );
+    })
+    .sum()
+    .uint16();
+}
+
+// Function to get the names of the mask reason count bands
+function getMaskReasonCountBandNames(maskReasons) {
+  if (
+    maskReasons === undefined ||
+    maskReasons === null ||
+    maskReasons.length === 0
+  ) {
+    maskReasons = Object.keys(maskReasonBitDict);
+  }
+  return maskReasons.map(function (reasonName) {
+    return reasonName + "MaskCount";
+  });
 }
 ////////////////////////////////////////////////////////////////////////////////
 // Function for finding dark outliers in time series.
@@ -2155,260 +3511,539 @@ function simpleTDOM2() {
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-// Function to add common (and less common) spectral indices to an image.
-// Includes the Normalized Difference Spectral Vector from (Angiuli and Trianni, 2014)
-function addIndices(img) {
-  // Add Normalized Difference Spectral Vector (NDSV)
-  img = img.addBands(
-    img.normalizedDifference(["blue", "green"]).rename("ND_blue_green")
-  );
-  img = img.addBands(
-    img.normalizedDifference(["blue", "red"]).rename("ND_blue_red")
-  );
-  img = img.addBands(
-    img.normalizedDifference(["blue", "nir"]).rename("ND_blue_nir")
-  );
-  img = img.addBands(
-    img.normalizedDifference(["blue", "swir1"]).rename("ND_blue_swir1")
-  );
-  img = img.addBands(
-    img.normalizedDifference(["blue", "swir2"]).rename("ND_blue_swir2")
-  );
+// Functions for computing cloudScore offset and TDOM stats for any study area
+// These are the same stats as the preComputedCloudScoreOffset and preComputedTDOMStats assets
+// Band names follow the same convention: <sensor>_CloudScore_p<cloudScorePctl>, <sensor>_<band>_mean, and <sensor>_<band>_stdDev
+// TDOM stats are multiplied by 10000 to match how the existing assets are stored
+var cloudScoreTDOMStatsSensorDict = {
+  Landsat: {
+    cloudScoreFunction: landsatCloudScore,
+    getScenes: getProcessedLandsatScenes,
+    maskArgNames: [
+      "applyCloudScore",
+      "applyFmaskCloudMask",
+      "applyTDOM",
+      "applyFmaskCloudShadowMask",
+      "applyFmaskSnowMask",
+    ],
+    cloudMaskArgNames: ["applyCloudScore", "applyFmaskCloudMask"],
+  },
+  Sentinel2: {
+    cloudScoreFunction: sentinel2CloudScore,
+    getScenes: getProcessedSentinel2Scenes,
+    maskArgNames: [
+      "applyQABand",
+      "applySCLMask",
+      "applyCloudScore",
+      "applyCloudProbability",
+      "applyCloudScorePlus",
+      "applyShadowShift",
+      "applyTDOM",
+    ],
+    cloudMaskArgNames: [
+      "applyQABand",
+      "applySCLMask",
+      "applyCloudScore",
+      "applyCloudProbability",
+      "applyCloudScorePlus",
+    ],
+  },
+};
+var cloudScoreTDOMStatsScaleFactor = 10000;
+
+// Function to compute the cloudScore offset and TDOM stats for a given study area, sensor, and season
+// The cloudScore offset is computed from scenes prior to any masking (as in applyCloudScoreAlgorithm)
+// The TDOM stats are computed after cloud masking (as in simpleTDOM2)
+// Any other arguments for getProcessedLandsatScenes or getProcessedSentinel2Scenes can also be provided
+// and are passed through without being reported as unknown
+// Returns an image with the cloudScore offset and TDOM mean and stdDev bands
+function getCloudScoreTDOMStats() {
+  var defaultArgs = {
+    studyArea: null,
+    startYear: null,
+    endYear: null,
+    startJulian: null,
+    endJulian: null,
+    sensor: "Landsat",
+    toaOrSR: "TOA",
+    cloudScorePctl: 10,
+    shadowSumBands: ["nir", "swir1"],
+    applyCloudScore: true,
+    applyFmaskCloudMask: true,
+    applyCloudScorePlus: false,
+    cloudScoreThresh: 20,
+    contractPixels: 1.5,
+    dilatePixels: 3.5,
+  };
+
+  if (arguments.length === 1 && !(arguments[0] instanceof ee.ComputedObject)) {
+    markArgumentsPrepped(arguments[0]);
+  }
+  var args = prepArgumentsObject(arguments, defaultArgs);
+  var sensorInfo = cloudScoreTDOMStatsSensorDict[args.sensor];
+  if (sensorInfo === undefined) {
+    throw new Error(
+      "getCloudScoreTDOMStats: unknown sensor " +
+        args.sensor +
+        ". Options are: " +
+        Object.keys(cloudScoreTDOMStatsSensorDict).join(", ")
+    );
+  }
 
-  img = img.addBands(
-    img.normalizedDifference(["green", "red"]).rename("ND_green_red")
+  // Get unmasked scenes for the cloudScore offset
+  var rawArgs = copyObj(args);
+  sensorInfo.maskArgNames.map(function (k) {
+    rawArgs[k] = false;
+  });
+  var rawScenes = sensorInfo.getScenes(rawArgs);
+  var cloudScoreOffset = rawScenes
+    .map(function (img) {
+      return sensorInfo.cloudScoreFunction(img).rename(["cloudScore"]);
+    })
+    .reduce(ee.Reducer.percentile([args.cloudScorePctl]))
+    .rename([args.sensor + "_CloudScore_p" + args.cloudScorePctl.toString()]);
+
+  // Get cloud masked scenes for the TDOM stats
+  var cloudMaskedArgs = copyObj(args);
+  sensorInfo.maskArgNames.map(function (k) {
+    if (sensorInfo.cloudMaskArgNames.indexOf(k) === -1) {
+      cloudMaskedArgs[k] = false;
+    }
+  });
+  cloudMaskedArgs.performCloudScoreOffset = true;
+  cloudMaskedArgs.preComputedCloudScoreOffset = cloudScoreOffset;
+  var cloudMaskedScenes = sensorInfo
+    .getScenes(cloudMaskedArgs)
+    .select(args.shadowSumBands);
+
+  var irMean = cloudMaskedScenes.mean().rename(
+    args.shadowSumBands.map(function (bn) {
+      return args.sensor + "_" + bn + "_mean";
+    })
   );
-  img = img.addBands(
-    img.normalizedDifference(["green", "nir"]).rename("ND_green_nir")
-  ); //NDWBI
-  img = img.addBands(
-    img.normalizedDifference(["green", "swir1"]).rename("ND_green_swir1")
-  ); //NDSI, MNDWI
-  img = img.addBands(
-    img.normalizedDifference(["green", "swir2"]).rename("ND_green_swir2")
+  var irStdDev = cloudMaskedScenes.reduce(ee.Reducer.stdDev()).rename(
+    args.shadowSumBands.map(function (bn) {
+      return args.sensor + "_" + bn + "_stdDev";
+    })
   );
 
-  img = img.addBands(
-    img.normalizedDifference(["red", "swir1"]).rename("ND_red_swir1")
+  return ee.Image.cat([
+    cloudScoreOffset,
+    irMean.multiply(cloudScoreTDOMStatsScaleFactor),
+    irStdDev.multiply(cloudScoreTDOMStatsScaleFactor),
+  ]).set({
+    statsSensor: args.sensor,
+    toaOrSR: args.toaOrSR.toUpperCase(),
+    startYear: args.startYear,
+    endYear: args.endYear,
+    startJulian: args.startJulian,
+    endJulian: args.endJulian,
+    cloudScorePctl: args.cloudScorePctl,
+    shadowSumBands: listToString(args.shadowSumBands),
+    scaleFactor: cloudScoreTDOMStatsScaleFactor,
+    "system:time_start": ee.Date.fromYMD(args.startYear, 1, 1)
+      .advance(args.startJulian - 1, "day")
+      .millis(),
+  });
+}
+
+// Function to compute and export the cloudScore offset and TDOM stats
+// Takes the same arguments as getCloudScoreTDOMStats along with the export arguments
+function exportCloudScoreTDOMStats() {
+  var defaultArgs = {
+    studyArea: null,
+    startYear: null,
+    endYear: null,
+    startJulian: null,
+    endJulian: null,
+    sensor: "Landsat",
+    toaOrSR: "TOA",
+    cloudScorePctl: 10,
+    shadowSumBands: ["nir", "swir1"],
+    outputName: "CS-TDOM-Stats",
+    exportPathRoot: "users/username/someCollection",
+    crs: "EPSG:5070",
+    transform: [30, 0, -2361915.0, 0, -30, 3177735.0],
+    scale: null,
+  };
+
+  var args = prepArgumentsObject(arguments, defaultArgs);
+  var stats = getCloudScoreTDOMStats(args);
+
+  args.exportName =
+    args.outputName +
+    "_" +
+    args.sensor +
+    "_" +
+    args.toaOrSR +
+    "_" +
+    args.startYear.toString() +
+    "_" +
+    args.endYear.toString() +
+    "_" +
+    args.startJulian.toString() +
+    "_" +
+    args.endJulian.toString() +
+    "_p" +
+    args.cloudScorePctl.toString();
+  args.exportPath = args.exportPathRoot + "/" + args.exportName;
+
+  //Image math drops properties, so copy the stats metadata back on for loadCloudScoreTDOMStats
+  stats = ee.Image(
+    stats.round().int16().copyProperties(stats, stats.propertyNames())
   );
-  img = img.addBands(
-    img.normalizedDifference(["red", "swir2"]).rename("ND_red_swir2")
+  exportToAssetWrapper(
+    stats,
+    args.exportName,
+    args.exportPath,
+    "mean",
+    args.studyArea,
+    args.scale,
+    args.crs,
+    args.transform
   );
+  return stats;
+}
 
-  img = img.addBands(
-    img.normalizedDifference(["nir", "red"]).rename("ND_nir_red")
-  ); //NDVI
-  img = img.addBands(
-    img.normalizedDifference(["nir", "swir1"]).rename("ND_nir_swir1")
-  ); //NDWI, LSWI, -NDBI
-  img = img.addBands(
-    img.normalizedDifference(["nir", "swir2"]).rename("ND_nir_swir2")
-  ); //NBR, MNDVI
-
-  img = img.addBands(
-    img.normalizedDifference(["swir1", "swir2"]).rename("ND_swir1_swir2")
-  );
+// Function to load cloudScore offset and TDOM stats created with getCloudScoreTDOMStats or exportCloudScoreTDOMStats
+// stats can be an image, an imageCollection, or the path to an imageCollection of exported stats
+// Returns an object that can be passed directly into the wrapper functions
+// The generic keys (e.g. preComputedCloudScoreOffset) work for getLandsatWrapper and getSentinel2Wrapper
+// The sensor-specific keys (e.g. preComputedLandsatCloudScoreOffset) work for getLandsatAndSentinel2HybridWrapper
+function loadCloudScoreTDOMStats(
+  stats,
+  sensor,
+  cloudScorePctl,
+  shadowSumBands
+) {
+  if (sensor === undefined || sensor === null) {
+    sensor = "Landsat";
+  }
+  if (cloudScorePctl === undefined || cloudScorePctl === null) {
+    cloudScorePctl = 10;
+  }
+  if (shadowSumBands === undefined || shadowSumBands === null) {
+    shadowSumBands = ["nir", "swir1"];
+  }
+  stats = ee
+    .ImageCollection(stats)
+    .filter(ee.Filter.eq("statsSensor", sensor))
+    .mosaic();
 
-  // Add ratios
-  img = img.addBands(
-    img.select("swir1").divide(img.select("nir")).rename("R_swir1_nir")
-  ); //ratio 5/4
-  img = img.addBands(
-    img.select("red").divide(img.select("swir1")).rename("R_red_swir1")
-  ); // ratio 3/5
-
-  // Add Enhanced Vegetation Index (EVI)
-  var evi = img
-    .expression("2.5 * ((NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1))", {
-      NIR: img.select("nir"),
-      RED: img.select("red"),
-      BLUE: img.select("blue"),
-    })
-    .float();
-  img = img.addBands(evi.rename("EVI"));
-
-  // Add Soil Adjust Vegetation Index (SAVI)
-  // using L = 0.5;
-  var savi = img
-    .expression("(NIR - RED) * (1 + 0.5)/(NIR + RED + 0.5)", {
-      NIR: img.select("nir"),
-      RED: img.select("red"),
-    })
-    .float();
-  img = img.addBands(savi.rename("SAVI"));
+  var cloudScoreOffset = stats.select([
+    sensor + "_CloudScore_p" + cloudScorePctl.toString(),
+  ]);
+  var irMean = stats
+    .select(
+      shadowSumBands.map(function (bn) {
+        return sensor + "_" + bn + "_mean";
+      })
+    )
+    .divide(cloudScoreTDOMStatsScaleFactor);
+  var irStdDev = stats
+    .select(
+      shadowSumBands.map(function (bn) {
+        return sensor + "_" + bn + "_stdDev";
+      })
+    )
+    .divide(cloudScoreTDOMStatsScaleFactor);
 
-  // Add Index-Based Built-Up Index (IBI)
-  var ibi_a = img
-    .expression("2*SWIR1/(SWIR1 + NIR)", {
-      SWIR1: img.select("swir1"),
-      NIR: img.select("nir"),
-    })
-    .rename("IBI_A");
-  var ibi_b = img
-    .expression("(NIR/(NIR + RED)) + (GREEN/(GREEN + SWIR1))", {
-      NIR: img.select("nir"),
-      RED: img.select("red"),
-      GREEN: img.select("green"),
-      SWIR1: img.select("swir1"),
-    })
-    .rename("IBI_B");
-  ibi_a = ibi_a.addBands(ibi_b);
-  var ibi = ibi_a.normalizedDifference(["IBI_A", "IBI_B"]);
-  img = img.addBands(ibi.rename("IBI"));
+  var out = {
+    preComputedCloudScoreOffset: cloudScoreOffset,
+    preComputedTDOMIRMean: irMean,
+    preComputedTDOMIRStdDev: irStdDev,
+  };
+  out["preComputed" + sensor + "CloudScoreOffset"] = cloudScoreOffset;
+  out["preComputed" + sensor + "TDOMIRMean"] = irMean;
+  out["preComputed" + sensor + "TDOMIRStdDev"] = irStdDev;
+  return out;
+}
 
-  return img;
+////////////////////////////////////////////////////////////////////////////////
+// Function to add indices from the indexCatalog to an image
+// names is a list of index names in the indexCatalog
+// Optionally provide the sensor (e.g. 'landsat', 'sentinel2', or 'modis') to ensure each index is valid for it
+function addIndicesFromCatalog(img, names, sensor) {
+  var indices = names.map(function (name) {
+    var spec = indexCatalog[name];
+    if (spec === undefined) {
+      throw new Error(
+        "addIndicesFromCatalog: unknown index " +
+          name +
+          ". Options are: " +
+          Object.keys(indexCatalog).join(", ")
+      );
+    }
+    if (
+      sensor !== undefined &&
+      sensor !== null &&
+      spec.sensors.indexOf(sensor) === -1
+    ) {
+      throw new Error(
+        "addIndicesFromCatalog: " +
+          name +
+          " is not valid for " +
+          sensor +
+          ". It is valid for: " +
+          spec.sensors.join(", ")
+      );
+    }
+    if (spec.normalizedDifference !== undefined) {
+      return img.normalizedDifference(spec.normalizedDifference).rename(name);
+    }
+    var bandMap = {};
+    spec.bands.map(function (bn) {
+      bandMap[bn] = img.select(bn);
+    });
+    return img.expression(spec.expression, bandMap).float().rename(name);
+  });
+  return img.addBands(ee.Image(indices));
+}
+// Function to add an index to the indexCatalog
+// spec must have bands, either normalizedDifference or expression, and changeDirection
+// sensors defaults to all optical sensors and range defaults to [null, null]
+// Example usage: registerIndex('GNDVI',{bands:['nir','green'],normalizedDifference:['nir','green'],changeDirection:-1})
+function registerIndex(name, spec) {
+  if (spec.bands === undefined || spec.bands === null) {
+    throw new Error("registerIndex: " + name + " must have bands");
+  }
+  if (
+    spec.normalizedDifference === undefined &&
+    spec.expression === undefined
+  ) {
+    throw new Error(
+      "registerIndex: " +
+        name +
+        " must have either normalizedDifference or expression"
+    );
+  }
+  if (spec.changeDirection !== 1 && spec.changeDirection !== -1) {
+    throw new Error(
+      "registerIndex: " + name + " changeDirection must be 1 or -1"
+    );
+  }
+  if (spec.sensors === undefined || spec.sensors === null) {
+    spec.sensors = opticalSensors;
+  }
+  if (spec.range === undefined || spec.range === null) {
+    spec.range = [null, null];
+  }
+  if (indexCatalog[name] !== undefined) {
+    print("Overwriting existing index in catalog:", name);
+  }
+  indexCatalog[name] = spec;
+  changeDirDict[name] = spec.changeDirection;
+  return spec;
+}
+// Function to get the direction of a decrease in photosynthetic vegetation for a band or index
+function getChangeDirection(name) {
+  var changeDirection = changeDirDict[name];
+  if (changeDirection === undefined) {
+    throw new Error(
+      "getChangeDirection: no change direction for " +
+        name +
+        ". Use registerIndex to add it"
+    );
+  }
+  return changeDirection;
+}
+////////////////////////////////////////////////////////////////////////////////
+// Function to add common (and less common) spectral indices to an image.
+// Includes the Normalized Difference Spectral Vector from (Angiuli and Trianni, 2014)
+function addIndices(img) {
+  return addIndicesFromCatalog(img, [
+    "ND_blue_green",
+    "ND_blue_red",
+    "ND_blue_nir",
+    "ND_blue_swir1",
+    "ND_blue_swir2",
+    "ND_green_red",
+    "ND_green_nir",
+    "ND_green_swir1",
+    "ND_green_swir2",
+    "ND_red_swir1",
+    "ND_red_swir2",
+    "ND_nir_red",
+    "ND_nir_swir1",
+    "ND_nir_swir2",
+    "ND_swir1_swir2",
+    "R_swir1_nir",
+    "R_red_swir1",
+    "EVI",
+    "SAVI",
+    "IBI",
+  ]);
 }
 ///////////////////////////////////////////
 //Function to  add SAVI and EVI
 function addSAVIandEVI(img) {
-  // Add Enhanced Vegetation Index (EVI)
-  var evi = img
-    .expression("2.5 * ((NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1))", {
-      NIR: img.select("nir"),
-      RED: img.select("red"),
-      BLUE: img.select("blue"),
-    })
-    .float();
-  img = img.addBands(evi.rename("EVI"));
-
-  // Add Soil Adjust Vegetation Index (SAVI)
-  // using L = 0.5;
-  var savi = img
-    .expression("(NIR - RED) * (1 + 0.5)/(NIR + RED + 0.5)", {
-      NIR: img.select("nir"),
-      RED: img.select("red"),
-    })
-    .float();
-
-  ////////////////////////////////////////////////////////////////////////////////
-  //NIRv: Badgley, G., Field, C. B., & Berry, J. A. (2017). Canopy near-infrared reflectance and terrestrial photosynthesis. Science Advances, 3, e1602244.
-  //https://www.researchgate.net/publication/315534107_Canopy_near-infrared_reflectance_and_terrestrial_photosynthesis
-  // NIRv function: ‘image’ is a 2 band stack of NDVI and NIR
-  //////////////////////////////////////////////////////////////////////////////////////////
-  var NIRv = img
-    .select(["NDVI"])
-    .subtract(0.08)
-    .multiply(img.select(["nir"])); //.multiply(0.0001))
-
-  img = img.addBands(savi.rename("SAVI")).addBands(NIRv.rename("NIRv"));
-  return img;
+  return addIndicesFromCatalog(img, ["EVI", "SAVI", "NIRv"]);
 }
 /////////////////////////////////////////////////////////////////
 //Function for only adding common indices
 function simpleAddIndices(in_image) {
-  in_image = in_image.addBands(
-    in_image.normalizedDifference(["nir", "red"]).select([0], ["NDVI"])
-  );
-  in_image = in_image.addBands(
-    in_image.normalizedDifference(["nir", "swir2"]).select([0], ["NBR"])
-  );
-  in_image = in_image.addBands(
-    in_image.normalizedDifference(["nir", "swir1"]).select([0], ["NDMI"])
-  );
-  in_image = in_image.addBands(
-    in_image.normalizedDifference(["green", "swir1"]).select([0], ["NDSI"])
+  return addIndicesFromCatalog(in_image, ["NDVI", "NBR", "NDMI", "NDSI"]);
+}
+/////////////////////////////////////////////////////////////////
+//Function for adding Sentinel 2 red-edge indices
+//Images without the red-edge bands (e.g. Landsat) are returned unchanged
+var s2RedEdgeBands = ["re1", "re2", "re3"];
+var s2RedEdgeIndexNames = ["NDRE", "CIre", "MTCI", "IRECI", "S2REP", "PSRI"];
+function addS2RedEdgeIndices(img) {
+  var hasRedEdge = img.bandNames().containsAll(s2RedEdgeBands);
+  return ee.Image(
+    ee.Algorithms.If(
+      hasRedEdge,
+      addIndicesFromCatalog(img, s2RedEdgeIndexNames),
+      img
+    )
   );
-
-  return in_image;
 }
 ///////////////////////////////////////////////////////////////////////////////
 ////////////////////////////////////////////////////////////////////////////////
 // Function for adding common indices
 ////////////////////////////////////////////////////////////////////////////////
 function addSoilIndices(img) {
-  img = img.addBands(img.normalizedDifference(["red", "green"]).rename("NDCI"));
-  img = img.addBands(img.normalizedDifference(["red", "swir2"]).rename("NDII"));
-  img = img.addBands(img.normalizedDifference(["swir1", "nir"]).rename("NDFI"));
-
-  var bsi = img
-    .expression(
-      "((SWIR1 + RED) - (NIR + BLUE)) / ((SWIR1 + RED) + (NIR + BLUE))",
-      {
-        BLUE: img.select("blue"),
-        RED: img.select("red"),
-        NIR: img.select("nir"),
-        SWIR1: img.select("swir1"),
-      }
-    )
-    .float();
-  img = img.addBands(bsi.rename("BSI"));
-
-  var hi = img
-    .expression("SWIR1 / SWIR2", {
-      SWIR1: img.select("swir1"),
-      SWIR2: img.select("swir2"),
-    })
-    .float();
-  img = img.addBands(hi.rename("HI"));
+  img = addIndicesFromCatalog(img, [
+    "NDCI",
+    "NDII",
+    "ND_swir1_nir",
+    "BSI",
+    "HI",
+  ]);
+  //Named NDFI for backwards compatibility
+  //This is not the spectral mixture analysis-based NDFI from addSMAFractions (smaNDFI)
+  img = img.rename(img.bandNames().replace("ND_swir1_nir", "NDFI"));
   return img.float();
 }
 /////////////////////////////////////////////////////////////////
 ///////////////////////////////////////////////////////////////////////////////
-// Function to compute the Tasseled Cap transformation and return an image
-// with the following bands added: ['brightness', 'greenness', 'wetness',
-// 'fourth', 'fifth', 'sixth']
-function getTasseledCap(image) {
-  var bands = ee.List(["blue", "green", "red", "nir", "swir1", "swir2"]);
-  // // Kauth-Thomas coefficients for Thematic Mapper data
-  // var coefficients = ee.Array([
-  //   [0.3037, 0.2793, 0.4743, 0.5585, 0.5082, 0.1863],
-  //   [-0.2848, -0.2435, -0.5436, 0.7243, 0.0840, -0.1800],
-  //   [0.1509, 0.1973, 0.3279, 0.3406, -0.7112, -0.4572],
-  //   [-0.8242, 0.0849, 0.4392, -0.0580, 0.2012, -0.2768],
-  //   [-0.3280, 0.0549, 0.1075, 0.1855, -0.4357, 0.8085],
-  //   [0.1084, -0.9022, 0.4120, 0.0573, -0.0251, 0.0238]
-  // ]);
-
-  //Crist 1985 coeffs - TOA refl (http://www.gis.usu.edu/~doug/RS5750/assign/OLD/RSE(17)-301.pdf)
-  var coefficients = ee.Array([
-    [0.2043, 0.4158, 0.5524, 0.5741, 0.3124, 0.2303],
-    [-0.1603, -0.2819, -0.4934, 0.794, -0.0002, -0.1446],
-    [0.0315, 0.2021, 0.3102, 0.1594, -0.6806, -0.6109],
-    [-0.2117, -0.0284, 0.1302, -0.1007, 0.6529, -0.7078],
-    [-0.8669, -0.1835, 0.3856, 0.0408, -0.1132, 0.2272],
-    [0.3677, -0.82, 0.4354, 0.0518, -0.0066, -0.0104],
-  ]);
-  // Make an Array Image, with a 1-D Array per pixel.
-  var arrayImage1D = image.select(bands).toArray();
+// Tasseled Cap coefficients
+// Each entry has the common band names the coefficients apply to and one row of coefficients per component
+// Components that are not available for a given set of coefficients are returned as masked bands
+var tcComponentNames = [
+  "brightness",
+  "greenness",
+  "wetness",
+  "fourth",
+  "fifth",
+  "sixth",
+];
+var tcCoeffDict = {
+  //Crist 1985 coeffs - TM reflectance factor (http://www.gis.usu.edu/~doug/RS5750/assign/OLD/RSE(17)-301.pdf)
+  Crist1985: {
+    bands: ["blue", "green", "red", "nir", "swir1", "swir2"],
+    coefficients: [
+      [0.2043, 0.4158, 0.5524, 0.5741, 0.3124, 0.2303],
+      [-0.1603, -0.2819, -0.4934, 0.794, -0.0002, -0.1446],
+      [0.0315, 0.2021, 0.3102, 0.1594, -0.6806, -0.6109],
+      [-0.2117, -0.0284, 0.1302, -0.1007, 0.6529, -0.7078],
+      [-0.8669, -0.1835, 0.3856, 0.0408, -0.1132, 0.2272],
+      [0.3677, -0.82, 0.4354, 0.0518, -0.0066, -0.0104],
+    ],
+  },
+  //Huang et al 2002 coeffs - ETM+ TOA reflectance (https://doi.org/10.1080/01431160110106113)
+  Huang2002_ETM_TOA: {
+    bands: ["blue", "green", "red", "nir", "swir1", "swir2"],
+    coefficients: [
+      [0.3561, 0.3972, 0.3904, 0.6966, 0.2286, 0.1596],
+      [-0.3344, -0.3544, -0.4556, 0.6966, -0.0242, -0.263],
+      [0.2626, 0.2141, 0.0926, 0.0656, -0.7629, -0.5388],
+      [0.0805, -0.0498, 0.195, -0.1327, 0.5752, -0.7775],
+      [-0.7252, -0.0202, 0.6683, 0.0631, -0.1494, -0.0274],
+      [0.4, -0.8172, 0.3832, 0.0602, -0.1095, 0.0985],
+    ],
+  },
+  //Baig et al 2014 coeffs - OLI TOA reflectance (https://doi.org/10.1080/2150704X.2014.915434)
+  Baig2014_OLI_TOA: {
+    bands: ["blue", "green", "red", "nir", "swir1", "swir2"],
+    coefficients: [
+      [0.3029, 0.2786, 0.4733, 0.5599, 0.508, 0.1872],
+      [-0.2941, -0.243, -0.5424, 0.7276, 0.0713, -0.1608],
+      [0.1511, 0.1973, 0.3283, 0.3407, -0.7117, -0.4559],
+      [-0.8239, 0.0849, 0.4396, -0.058, 0.2013, -0.2773],
+      [-0.3294, 0.0557, 0.1056, 0.1855, -0.4349, 0.8085],
+      [0.1079, -0.9023, 0.4119, 0.0575, -0.0259, 0.0252],
+    ],
+  },
+  //Shi and Xu 2019 coeffs - Sentinel 2 MSI TOA reflectance using the 6 Landsat-like bands (https://doi.org/10.1109/JSTARS.2019.2938388)
+  //Only brightness, greenness, and wetness are available
+  ShiXu2019_MSI_TOA: {
+    bands: ["blue", "green", "red", "nir", "swir1", "swir2"],
+    coefficients: [
+      [0.351, 0.3813, 0.3437, 0.7196, 0.2396, 0.1949],
+      [-0.3599, -0.3533, -0.4734, 0.6633, 0.0087, -0.2856],
+      [0.2578, 0.2305, 0.0883, 0.1071, -0.7611, -0.5308],
+    ],
+  },
+  //Lobser and Cohen 2007 coeffs - MODIS NBAR reflectance (https://doi.org/10.1080/01431160600887706)
+  //Needs MODIS band 5 (1240 nm) as nir2. Only brightness, greenness, and wetness are available
+  //These are also used for the MOD09/MYD09 surface reflectance from getModisData since there
+  //are no published coefficients for it
+  LobserCohen2007_MODIS_NBAR: {
+    bands: ["red", "nir", "blue", "green", "nir2", "swir1", "swir2"],
+    coefficients: [
+      [0.4395, 0.5945, 0.246, 0.3918, 0.3506, 0.2136, 0.2678],
+      [-0.4064, 0.5129, -0.2744, -0.2893, 0.4882, -0.0036, -0.4169],
+      [0.1147, 0.2489, 0.2408, 0.3132, -0.3122, -0.6416, -0.5087],
+    ],
+  },
+};
+// Which Tasseled Cap coefficients to use for each sensor and toaOrSR
+// Keys are the sensor and toaOrSR image properties set by addSensorBand (<sensor>_<toaOrSR>)
+// Any image without a match uses tcDefaultCoeffKey
+var tcDefaultCoeffKey = "Crist1985";
+var tcSensorCoeffKeyDict = {
+  LANDSAT_4_TOA: "Crist1985",
+  LANDSAT_4_SR: "Crist1985",
+  LANDSAT_5_TOA: "Crist1985",
+  LANDSAT_5_SR: "Crist1985",
+  LANDSAT_7_TOA: "Huang2002_ETM_TOA",
+  LANDSAT_7_SR: "Crist1985",
+  LANDSAT_8_TOA: "Baig2014_OLI_TOA",
+  LANDSAT_8_SR: "Crist1985",
+  LANDSAT_9_TOA: "Baig2014_OLI_TOA",
+  LANDSAT_9_SR: "Crist1985",
+  //Sentinel 2 SR is left to tcDefaultCoeffKey since ShiXu2019_MSI_TOA was derived from TOA reflectance
+  "Sentinel-2A_TOA": "ShiXu2019_MSI_TOA",
+  "Sentinel-2B_TOA": "ShiXu2019_MSI_TOA",
+  "Sentinel-2C_TOA": "ShiXu2019_MSI_TOA",
+  MODIS_SR: "LobserCohen2007_MODIS_NBAR",
+};
 
-  // Make an Array Image with a 2-D Array per pixel, 6x1.
-  var arrayImage2D = arrayImage1D.toArray(1);
+// Function to get the Tasseled Cap coefficient key for an image from its sensor and toaOrSR properties
+function getTasseledCapCoeffKey(image) {
+  var sensor = ee.Algorithms.If(image.get("sensor"), image.get("sensor"), "");
+  var toaOrSR = ee.Algorithms.If(
+    image.get("toaOrSR"),
+    image.get("toaOrSR"),
+    ""
+  );
+  var sensorKey = ee.String(sensor).cat("_").cat(ee.String(toaOrSR));
+  return ee.String(
+    ee.Dictionary(tcSensorCoeffKeyDict).get(sensorKey, tcDefaultCoeffKey)
+  );
+}
 
-  var componentsImage = ee
-    .Image(coefficients)
-    .matrixMultiply(arrayImage2D)
-    // Get rid of the extra dimensions.
-    .arrayProject([0])
-    // Get a multi-band image with TC-named bands.
-    .arrayFlatten([
-      ["brightness", "greenness", "wetness", "fourth", "fifth", "sixth"],
-    ])
-    .float();
+// Function to compute the Tasseled Cap components listed in componentNames
+// If tcCoeffKey is not provided, it is chosen using getTasseledCapCoeffKey
+function computeTasseledCap(image, componentNames, tcCoeffKey) {
+  if (tcCoeffKey === undefined || tcCoeffKey === null) {
+    tcCoeffKey = getTasseledCapCoeffKey(image);
+  }
+  var coeffs = ee.Dictionary(ee.Dictionary(tcCoeffDict).get(tcCoeffKey));
+  var bands = ee.List(coeffs.get("bands"));
+  var coefficients = ee.Array(coeffs.get("coefficients"));
+
+  // Only use as many components as are available and asked for
+  var nComponents = coefficients.length().get([0]).min(componentNames.length);
+  coefficients = coefficients.slice(0, 0, nComponents);
+  var availableNames = ee.List(componentNames).slice(0, nComponents);
 
-  return image.addBands(componentsImage);
-}
-function simpleGetTasseledCap(image) {
-  var bands = ee.List(["blue", "green", "red", "nir", "swir1", "swir2"]);
-  // // Kauth-Thomas coefficients for Thematic Mapper data
-  // var coefficients = ee.Array([
-  //   [0.3037, 0.2793, 0.4743, 0.5585, 0.5082, 0.1863],
-  //   [-0.2848, -0.2435, -0.5436, 0.7243, 0.0840, -0.1800],
-  //   [0.1509, 0.1973, 0.3279, 0.3406, -0.7112, -0.4572],
-  //   [-0.8242, 0.0849, 0.4392, -0.0580, 0.2012, -0.2768],
-  //   [-0.3280, 0.0549, 0.1075, 0.1855, -0.4357, 0.8085],
-  //   [0.1084, -0.9022, 0.4120, 0.0573, -0.0251, 0.0238]
-  // ]);
-
-  //Crist 1985 coeffs - TOA refl (http://www.gis.usu.edu/~doug/RS5750/assign/OLD/RSE(17)-301.pdf)
-  var coefficients = ee.Array([
-    [0.2043, 0.4158, 0.5524, 0.5741, 0.3124, 0.2303],
-    [-0.1603, -0.2819, -0.4934, 0.794, -0.0002, -0.1446],
-    [0.0315, 0.2021, 0.3102, 0.1594, -0.6806, -0.6109],
-  ]);
   // Make an Array Image, with a 1-D Array per pixel.
   var arrayImage1D = image.select(bands).toArray();
 
-  // Make an Array Image with a 2-D Array per pixel, 6x1.
+  // Make an Array Image with a 2-D Array per pixel, nBands x 1.
   var arrayImage2D = arrayImage1D.toArray(1);
 
   var componentsImage = ee
@@ -2417,11 +4052,35 @@ function simpleGetTasseledCap(image) {
     // Get rid of the extra dimensions.
     .arrayProject([0])
     // Get a multi-band image with TC-named bands.
-    .arrayFlatten([["brightness", "greenness", "wetness"]])
+    .arrayFlatten([availableNames])
     .float();
 
+  // Fill any components that are not available with masked bands
+  var emptyComponents = ee.Image.constant(
+    componentNames.map(function (n) {
+      return 0;
+    })
+  )
+    .rename(componentNames)
+    .float()
+    .updateMask(0);
+  componentsImage = emptyComponents
+    .addBands(componentsImage, null, true)
+    .select(componentNames);
+
   return image.addBands(componentsImage);
 }
+// Function to compute the Tasseled Cap transformation and return an image
+// with the following bands added: ['brightness', 'greenness', 'wetness',
+// 'fourth', 'fifth', 'sixth']
+// Coefficients are chosen using the sensor and toaOrSR image properties unless a tcCoeffKey from tcCoeffDict is provided
+function getTasseledCap(image, tcCoeffKey) {
+  return computeTasseledCap(image, tcComponentNames, tcCoeffKey);
+}
+// Function to only add brightness, greenness, and wetness
+function simpleGetTasseledCap(image, tcCoeffKey) {
+  return computeTasseledCap(image, tcComponentNames.slice(0, 3), tcCoeffKey);
+}
 ///////////////////////////////////////////////////////////////////////////////
 // Function to add Tasseled Cap angles and distances to an image.
 // Assumes image has bands: 'brightness', 'greenness', and 'wetness'.
@@ -2468,6 +4127,94 @@ function simpleAddTCAngles(image) {
   return image.addBands(tcAngleBG);
 }
 ///////////////////////////////////////////////////////////////////////////////
+// Spectral mixture analysis (SMA) and the Normalized Difference Fraction Index (NDFI)
+// Souza et al 2005 (https://doi.org/10.1016/j.rse.2005.09.012)
+// Endmembers are in 0-1 reflectance for the common band names
+// The Landsat endmembers are the Souza et al 2005 endmembers used by Imazon and MapBiomas
+// NDFI is added as smaNDFI since addSoilIndices already adds a different band named NDFI
+var smaEndmemberDict = {
+  landsat: {
+    bands: ["blue", "green", "red", "nir", "swir1", "swir2"],
+    endmembers: {
+      GV: [0.0119, 0.0475, 0.0169, 0.625, 0.2399, 0.0675],
+      NPV: [0.1514, 0.1597, 0.1421, 0.3053, 0.7707, 0.1975],
+      Soil: [0.1799, 0.2479, 0.3158, 0.5437, 0.7707, 0.6646],
+      Shade: [0, 0, 0, 0, 0, 0],
+      Cloud: [0.4031, 0.8714, 0.79, 0.8989, 0.7002, 0.6607],
+    },
+  },
+};
+// There is no published Sentinel 2 library, so the Landsat endmembers are reused for the
+// Landsat-like Sentinel 2 bands. Provide an endmemberLibrary object to use Sentinel 2 spectra
+smaEndmemberDict.sentinel2 = smaEndmemberDict.landsat;
+
+// Function to unmix an image into endmember fractions and add NDFI
+// endmemberLibrary can be a key in smaEndmemberDict or an object with the same structure
+// Adds a band for each endmember fraction, the RMSE of the unmixing (smaRMSE), and NDFI (smaNDFI)
+// NDFI needs the GV, NPV, Soil, and Shade endmembers
+// Can be mapped over the output of getProcessedLandsatScenes or getProcessedSentinel2Scenes
+// Example usage: ls.map(addSMAFractions) or s2s.map(function(img){return addSMAFractions(img,'sentinel2')})
+function addSMAFractions(img, endmemberLibrary, sumToOne, nonNegative) {
+  if (endmemberLibrary === undefined || endmemberLibrary === null) {
+    endmemberLibrary = "landsat";
+  }
+  if (typeof endmemberLibrary === "string") {
+    endmemberLibrary = smaEndmemberDict[endmemberLibrary];
+  }
+  if (sumToOne === undefined || sumToOne === null) {
+    sumToOne = true;
+  }
+  if (nonNegative === undefined || nonNegative === null) {
+    nonNegative = true;
+  }
+  var bands = endmemberLibrary.bands;
+  var endmemberNames = Object.keys(endmemberLibrary.endmembers);
+  var endmembers = endmemberNames.map(function (name) {
+    return endmemberLibrary.endmembers[name];
+  });
+
+  var spectra = img.select(bands);
+  var fractions = spectra
+    .unmix(endmembers, sumToOne, nonNegative)
+    .rename(endmemberNames);
+
+  // Find the RMSE of the modeled spectra
+  // Endmember matrix is nBands x nEndmembers
+  var endmemberMatrix = bands.map(function (bn, i) {
+    return endmembers.map(function (endmember) {
+      return endmember[i];
+    });
+  });
+  var modeled = ee
+    .Image(ee.Array(endmemberMatrix))
+    .matrixMultiply(fractions.toArray().toArray(1))
+    .arrayProject([0])
+    .arrayFlatten([bands]);
+  var rmse = spectra
+    .subtract(modeled)
+    .pow(2)
+    .reduce(ee.Reducer.mean())
+    .sqrt()
+    .rename("smaRMSE");
+
+  // Compute NDFI using the shade normalized GV fraction
+  var ndfi = fractions
+    .expression("(GVshade - (NPV + Soil)) / (GVshade + NPV + Soil)", {
+      GVshade: fractions
+        .select(["GV"])
+        .divide(ee.Image(1).subtract(fractions.select(["Shade"]))),
+      NPV: fractions.select(["NPV"]),
+      Soil: fractions.select(["Soil"]),
+    })
+    .clamp(-1, 1)
+    .rename("smaNDFI");
+
+  return img
+    .addBands(fractions.float())
+    .addBands(rmse.float())
+    .addBands(ndfi.float());
+}
+///////////////////////////////////////////////////////////////////////////////
 ////////////////////////////////////////////////////////////////////////////////
 // Function to add solar zenith and azimuth in radians as bands to image
 function addZenithAzimuth(img, toaOrSR, zenithDict, azimuthDict) {
@@ -2524,6 +4271,259 @@ function medoidMosaicMSD(inCollection, medoidIncludeBands) {
   return medoid;
 }
 
+////////////////////////////////////////////////////////////////////////////////
+// Best-Available-Pixel (BAP) compositing
+// Adapted from White et al. 2014 (https://doi.org/10.1080/07038992.2014.945827)
+// and Griffiths et al. 2013 (https://doi.org/10.1109/JSTARS.2012.2228167)
+// Each observation is scored (0-1) by:
+// dayOfYear: Gaussian distance from targetJulian with a standard deviation of dayOfYearSigma days
+// cloudDistance: distance from the nearest masked (cloud, cloud shadow, etc) pixel within the scene footprint
+//   up to maxCloudDistance meters (pixels outside the footprint are not treated as masked)
+// sensor: sensorScores for the sensor property set by addSensorBand (sensors not listed get a score of 1)
+// opacity: value of opacityBand (higher is clearer, e.g. cloudScorePlus) (images without the band get a score of 1)
+// yearOffset: 1 - the number of years from the target year / (timebuffer + 1)
+//   Years are those the season starts in (seasonStartJulian), so seasons that wrap across the
+//   end of the year are not split into different years
+// The observation with the highest weighted sum of scores is chosen
+// If targetJulian is null, the middle of the startJulian to endJulian season is used
+// If seasonStartJulian is null, startJulian is used
+var bapDefaultParams = {
+  weights: {
+    dayOfYear: 0.5,
+    cloudDistance: 0.2,
+    sensor: 0.1,
+    opacity: 0.1,
+    yearOffset: 0.1,
+  },
+  targetJulian: null,
+  seasonStartJulian: null,
+  dayOfYearSigma: 30,
+  maxCloudDistance: 1500,
+  sensorScores: {
+    LANDSAT_4: 1,
+    LANDSAT_5: 1,
+    LANDSAT_7: 0.5,
+    LANDSAT_8: 1,
+    LANDSAT_9: 1,
+    "Sentinel-2A": 1,
+    "Sentinel-2B": 1,
+    "Sentinel-2C": 1,
+  },
+  opacityBand: "cloudScorePlus",
+};
+
+//Function to fill in any bapParams that are not provided with bapDefaultParams
+function getBAPParams(bapParams, startJulian, endJulian) {
+  if (bapParams === undefined || bapParams === null) {
+    bapParams = {};
+  }
+  var out = {};
+  Object.keys(bapDefaultParams).map(function (k) {
+    out[k] = bapParams[k] === undefined ? bapDefaultParams[k] : bapParams[k];
+  });
+  if (out.targetJulian === null) {
+    var wrapOffset = wrapDates(startJulian, endJulian)[0];
+    out.targetJulian = ((startJulian + endJulian + wrapOffset) / 2) % 365;
+  }
+  if (out.seasonStartJulian === null) {
+    out.seasonStartJulian = startJulian;
+  }
+  return out;
+}
+
+//Function to get the BAP composite
+//targetYear is the year the target season starts in
+//Outputs the chosen observation's bands along with its year, julianDay, and bapScore
+//(the chosen observation's sensor is in the sensor band if it was added with addSensorBand)
+function bapMosaic(inCollection, targetYear, timebuffer, bapParams) {
+  var weights = bapParams.weights;
+  var sensorScores = ee.Dictionary(bapParams.sensorScores);
+
+  var scored = inCollection.map(function (img) {
+    var date = ee.Date(img.get("system:time_start"));
+
+    //Day of year score (accounting for wrapping across years)
+    var dayDiff = date
+      .getRelative("day", "year")
+      .add(1)
+      .subtract(bapParams.targetJulian)
+      .abs();
+    dayDiff = dayDiff.min(ee.Number(365).subtract(dayDiff));
+    var dayOfYearScore = ee.Image.constant(
+      dayDiff.divide(bapParams.dayOfYearSigma).pow(2).multiply(-0.5).exp()
+    );
+
+    //Distance to cloud score
+    //Only masked pixels within the scene footprint count, so scene edges are not treated as clouds
+    var footprint = ee.Image(0).paint(img.geometry(), 1);
+    var cloudDistanceScore = img
+      .select([0])
+      .mask()
+      .not()
+      .and(footprint)
+      .fastDistanceTransform(256)
+      .sqrt()
+      .multiply(ee.Image.pixelArea().sqrt())
+      .divide(bapParams.maxCloudDistance)
+      .clamp(0, 1);
+
+    //Sensor score
+    var sensor = img.get("sensor");
+    var sensorScore = ee.Image.constant(
+      ee.Algorithms.If(sensor, sensorScores.get(ee.String(sensor), 1), 1)
+    );
+
+    //Atmospheric opacity score
+    var opacityScore = ee
+      .Image(
+        ee.Algorithms.If(
+          img.bandNames().contains(bapParams.opacityBand),
+          img.select([bapParams.opacityBand]),
+          ee.Image(1)
+        )
+      )
+      .clamp(0, 1);
+
+    //Year offset score
+    //Uses the year the observation's season starts in
+    var seasonYear = date
+      .advance(-(bapParams.seasonStartJulian - 1), "day")
+      .get("year");
+    var yearOffsetScore = ee.Image.constant(
+      ee.Number(1).subtract(
+        seasonYear
+          .subtract(targetYear)
+          .abs()
+          .divide(timebuffer + 1)
+      )
+    );
+
+    var bapScore = dayOfYearScore
+      .multiply(weights.dayOfYear)
+      .add(cloudDistanceScore.multiply(weights.cloudDistance))
+      .add(sensorScore.multiply(weights.sensor))
+      .add(opacityScore.multiply(weights.opacity))
+      .add(yearOffsetScore.multiply(weights.yearOffset))
+      .float()
+      .updateMask(img.select([0]).mask())
+      .rename(["bapScore"]);
+
+    img = addYearBand(img);
+    img = addJulianDayBand(img);
+    return img.addBands(bapScore);
+  });
+
+  return scored.qualityMosaic("bapScore");
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Function to compute the geometric median of a collection
+// Adapted from Roberts et al. 2017 (https://doi.org/10.1109/TGRS.2017.2723896)
+// The geometric median minimizes the sum of the Euclidean distances across all geometricMedianIncludeBands
+// and is found using Weiszfeld's algorithm starting from the per-band median
+// Bands not included are the per-band median
+function geometricMedianMosaic(
+  inCollection,
+  geometricMedianIncludeBands,
+  nIterations
+) {
+  if (
+    geometricMedianIncludeBands === undefined ||
+    geometricMedianIncludeBands === null
+  ) {
+    geometricMedianIncludeBands = ee.Image(inCollection.first()).bandNames();
+  }
+  if (nIterations === undefined || nIterations === null) {
+    nIterations = 10;
+  }
+  var median = inCollection.median();
+  var geometricMedian = median.select(geometricMedianIncludeBands);
+
+  for (var i = 0; i < nIterations; i++) {
+    var weighted = inCollection.map(function (img) {
+      img = img.select(geometricMedianIncludeBands);
+      //Weight each observation by the inverse of its distance to the current estimate
+      var weight = ee
+        .Image(1)
+        .divide(
+          img
+            .subtract(geometricMedian)
+            .pow(2)
+            .reduce(ee.Reducer.sum())
+            .sqrt()
+            .max(1e-6)
+        )
+        .rename(["weight"]);
+      return img.multiply(weight).addBands(weight);
+    });
+    var sums = weighted.sum();
+    geometricMedian = sums
+      .select(geometricMedianIncludeBands)
+      .divide(sums.select(["weight"]));
+  }
+
+  return median.addBands(geometricMedian, null, true);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Bands added to composites by each compositingMethod in addition to the bands of the scenes
+// Percentile composites also have <band>_p<percentile> bands (see getCompositeMethodBandNames)
+var compositeMethodBandDict = {
+  median: [],
+  medoid: ["sensor", "year", "julianDay"],
+  bap: ["sensor", "year", "julianDay", "bapScore"],
+  geometricMedian: [],
+  percentile: [],
+};
+// Metadata bands that are not multiplied by the scaleFactor on export
+var compositeNonDivideBandNames = [
+  "temp",
+  "compositeObsCount",
+  "sensor",
+  "year",
+  "julianDay",
+];
+
+// Function to get the names of the bands added by a compositingMethod
+// Expects an args object with compositingMethod, and for percentile composites,
+// compositePercentileBands and compositePercentiles
+// compositingMethod is matched ignoring case, and no bands are added if it is null
+// (composites made with a compositingReducer)
+function getCompositeMethodBandNames(args) {
+  if (args.compositingMethod === null || args.compositingMethod === undefined) {
+    return [];
+  }
+  var compositingMethod = Object.keys(compositeMethodBandDict).filter(function (
+    method
+  ) {
+    return method.toLowerCase() === args.compositingMethod.toLowerCase();
+  })[0];
+  if (compositingMethod === undefined) {
+    throw new Error(
+      "getCompositeMethodBandNames: unknown compositingMethod " +
+        args.compositingMethod +
+        ". Options are: " +
+        Object.keys(compositeMethodBandDict).join(", ")
+    );
+  }
+  var bandNames = compositeMethodBandDict[compositingMethod].slice();
+  if (compositingMethod === "percentile") {
+    args.compositePercentileBands.map(function (bn) {
+      args.compositePercentiles.map(function (percentile) {
+        bandNames.push(bn + "_p" + percentile.toString());
+      });
+    });
+  }
+  return bandNames;
+}
+
+// Function to get which of a list of bands should not be multiplied by the scaleFactor on export
+function getCompositeNonDivideBandNames(bandNames) {
+  return bandNames.filter(function (bn) {
+    return compositeNonDivideBandNames.indexOf(bn) > -1;
+  });
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 // Function to export a provided image to an EE asset
 function exportToAssetWrapper(
@@ -2562,6 +4562,7 @@ function exportToAssetWrapper(
 var exportToAssetWrapper2 = exportToAssetWrapper;
 var exportToAssetWrapper3 = exportToAssetWrapper;
 //Function to export to Drive and properly take care of clipping/no data
+//Set cloudOptimized to true to write Cloud-Optimized GeoTIFFs
 function exportToDriveWrapper(
   imageForExport,
   outputName,
@@ -2570,11 +4571,15 @@ function exportToDriveWrapper(
   scale,
   crs,
   transform,
-  outputNoData
+  outputNoData,
+  cloudOptimized
 ) {
   if (outputNoData === null || outputNoData === undefined) {
     outputNoData = -32768;
   }
+  if (cloudOptimized === null || cloudOptimized === undefined) {
+    cloudOptimized = false;
+  }
   //Make sure image is clipped to roi in case it's a multi-part polygon
   imageForExport = imageForExport.clip(roi).unmask(outputNoData, false);
 
@@ -2597,9 +4602,17 @@ function exportToDriveWrapper(
     scale,
     crs,
     transform,
-    1e13
+    1e13,
+    null,
+    null,
+    null,
+    "GeoTIFF",
+    { cloudOptimized: cloudOptimized }
   );
 }
+//Function to export to Cloud Storage and properly take care of clipping/no data
+//Files are written under folderName within the bucket if provided
+//Set cloudOptimized to true to write Cloud-Optimized GeoTIFFs
 function exportToCloudStorageWrapper(
   imageForExport,
   outputName,
@@ -2608,11 +4621,16 @@ function exportToCloudStorageWrapper(
   scale,
   crs,
   transform,
-  outputNoData
+  outputNoData,
+  cloudOptimized,
+  folderName
 ) {
   if (outputNoData === null || outputNoData === undefined) {
     outputNoData = -32768;
   }
+  if (cloudOptimized === null || cloudOptimized === undefined) {
+    cloudOptimized = false;
+  }
   //Make sure image is clipped to roi in case it's a multi-part polygon
   imageForExport = imageForExport.clip(roi).unmask(outputNoData, false);
 
@@ -2625,18 +4643,667 @@ function exportToCloudStorageWrapper(
   //Ensure bounds are in web mercator
   var outRegion = roi.bounds(100, crs);
   print("Exporting:", outputName);
+  var fileNamePrefix = outputName;
+  if (folderName !== null && folderName !== undefined) {
+    fileNamePrefix = folderName + "/" + outputName;
+  }
   Export.image.toCloudStorage(
     imageForExport,
     outputName,
     bucketName,
-    outputName,
+    fileNamePrefix,
     null,
     outRegion,
     scale,
     crs,
     transform,
-    1e13
+    1e13,
+    null,
+    null,
+    null,
+    "GeoTIFF",
+    { cloudOptimized: cloudOptimized }
+  );
+}
+////////////////////////////////////////////////////////////////////////////////
+//Export destinations supported by exportImage
+var exportDestinations = ["asset", "drive", "cloudStorage"];
+
+//Function to fill in an export name template
+//Template fields are wrapped in curly braces (e.g. "{outputName}_{startYear}_{endYear}")
+//and are filled in from the provided fields object
+function fillExportNameTemplate(template, fields) {
+  var exportName = template.replace(/\{(\w+)\}/g, function (match, key) {
+    if (fields[key] === undefined || fields[key] === null) {
+      throw new Error(
+        "fillExportNameTemplate: unknown template field " +
+          key +
+          ". Options are: " +
+          Object.keys(fields).join(", ")
+      );
+    }
+    return fields[key].toString();
+  });
+  //Get rid of any spaces or slashes
+  return exportName.replace(/\s+/g, "-").replace(/\//g, "-");
+}
+
+//Function to split a study area into a grid of square tiles for export
+//tileSize is the tile width in meters in the given crs
+//The number of tiles is found asynchronously, so callback is called with a list of objects
+//with the name suffix and the part of the study area within each tile
+function getExportTiles(studyArea, tileSize, crs, callback) {
+  var grid = studyArea.coveringGrid(ee.Projection(crs).atScale(tileSize));
+  grid.size().evaluate(function (nTiles, error) {
+    if (error) {
+      throw new Error("getExportTiles: " + error);
+    }
+    var gridList = grid.toList(nTiles);
+    print("Number of export tiles:", nTiles);
+    callback(
+      range(0, nTiles).map(function (i) {
+        return {
+          suffix: "_tile" + i.toString(),
+          roi: ee
+            .Feature(gridList.get(i))
+            .geometry()
+            .intersection(studyArea, 100),
+        };
+      })
+    );
+  });
+}
+
+//Function to export an image to an asset, Drive, or Cloud Storage
+//exportPath is the full asset id (only used for asset exports)
+//exportFolder is the Drive folder or the folder within exportBucket
+//cloudOptimized only applies to Drive and Cloud Storage exports
+//If exportTileSize (meters) is specified, the study area is split into a grid
+//of tiles that are exported separately with a _tile<n> suffix
+//Tiled export tasks are created once the tiles are listed (see getExportTiles)
+function exportImage() {
+  var defaultArgs = {
+    image: null,
+    exportName: null,
+    exportPath: null,
+    studyArea: null,
+    scale: null,
+    crs: null,
+    transform: null,
+    pyramidingPolicy: "mean",
+    exportDestination: "asset",
+    exportFolder: null,
+    exportBucket: null,
+    cloudOptimized: false,
+    outputNoData: -32768,
+    exportTileSize: null,
+  };
+
+  var args = prepArgumentsObject(arguments, defaultArgs);
+
+  if (exportDestinations.indexOf(args.exportDestination) === -1) {
+    throw new Error(
+      "exportImage: unknown exportDestination " +
+        args.exportDestination +
+        ". Options are: " +
+        exportDestinations.join(", ")
+    );
+  }
+  if (args.exportDestination === "cloudStorage" && args.exportBucket === null) {
+    throw new Error(
+      "exportImage: exportBucket must be specified for cloudStorage exports"
+    );
+  }
+
+  var region = args.studyArea;
+  try {
+    region = region.geometry();
+  } catch (e) {
+    var x = e;
+  }
+  function exportTile(tile) {
+    var exportName = args.exportName + tile.suffix;
+    if (args.exportDestination === "asset") {
+      exportToAssetWrapper(
+        args.image,
+        exportName,
+        args.exportPath + tile.suffix,
+        args.pyramidingPolicy,
+        tile.roi,
+        args.scale,
+        args.crs,
+        args.transform
+      );
+    } else if (args.exportDestination === "drive") {
+      exportToDriveWrapper(
+        args.image,
+        exportName,
+        args.exportFolder,
+        tile.roi,
+        args.scale,
+        args.crs,
+        args.transform,
+        args.outputNoData,
+        args.cloudOptimized
+      );
+    } else {
+      exportToCloudStorageWrapper(
+        args.image,
+        exportName,
+        args.exportBucket,
+        tile.roi,
+        args.scale,
+        args.crs,
+        args.transform,
+        args.outputNoData,
+        args.cloudOptimized,
+        args.exportFolder
+      );
+    }
+  }
+
+  if (args.exportTileSize === null) {
+    exportTile({ suffix: "", roi: region });
+  } else {
+    getExportTiles(region, args.exportTileSize, args.crs, function (tiles) {
+      tiles.forEach(exportTile);
+    });
+  }
+}
+////////////////////////////////////////////////////////////////////////////////
+// Reproducibility manifests
+// Every export records a manifest of the parameters used to create it as flat properties
+// and optionally as a sidecar table. A wrapper call can be rebuilt from a manifest
+//
+//Version of this library recorded in export manifests
+//Update this when a change affects outputs
+var libraryVersion = "1.0.0";
+
+//Wrapper that is rebuilt from a manifest for each origin
+//Phenology is not included since its input scenes are not recorded and its manifest
+//is built from the exportCompositeCollection call rather than the wrapper's args
+var manifestWrapperDict = {
+  Landsat: "getLandsatWrapper",
+  Sentinel2: "getSentinel2Wrapper",
+  "Landsat-Sentinel2-Hybrid": "getLandsatAndSentinel2HybridWrapper",
+  Sentinel1: "getSentinel1Wrapper",
+  Climate: "getClimateWrapper",
+};
+
+//Keys that are outputs or per-export bookkeeping rather than parameters
+var manifestExcludeKeys = [
+  "collection",
+  "processedScenes",
+  "processedComposites",
+  "dateWrapping",
+  "wrapOffset",
+  "yearWithMajority",
+  "startYearComposite",
+  "endYearComposite",
+  "systemTimeStartYear",
+  "yearOriginal",
+  "yearUsed",
+  "system:time_start",
+  "exportName",
+  "exportPath",
+];
+
+//Function to convert a value to a JSON-safe canonical form
+//Object keys are sorted, ee objects are stored as their serialized expression
+//under eeObject, and functions are stored as their source under jsFunction
+function toCanonicalValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  } else if (value instanceof ee.ComputedObject) {
+    return { eeObject: value.serialize() };
+  } else if (typeof value === "function") {
+    return { jsFunction: value.toString() };
+  } else if (Array.isArray(value)) {
+    return value.map(toCanonicalValue);
+  } else if (typeof value === "object") {
+    var out = {};
+    Object.keys(value)
+      .sort()
+      .forEach(function (key) {
+        out[key] = toCanonicalValue(value[key]);
+      });
+    return out;
+  }
+  return value;
+}
+
+//Function to convert a canonical value back, deserializing any ee objects
+function fromCanonicalValue(value) {
+  if (value === null) {
+    return null;
+  } else if (Array.isArray(value)) {
+    return value.map(fromCanonicalValue);
+  } else if (typeof value === "object") {
+    if (value.eeObject !== undefined) {
+      return ee.Deserializer.fromJSON(value.eeObject);
+    } else if (value.jsFunction !== undefined) {
+      //Functions cannot be safely rebuilt, so the default is used instead
+      print("Function parameter cannot be rebuilt from a manifest:", value);
+      return null;
+    }
+    var out = {};
+    Object.keys(value).forEach(function (key) {
+      out[key] = fromCanonicalValue(value[key]);
+    });
+    return out;
+  }
+  return value;
+}
+
+//Function to compute the 32-bit FNV-1a hash of a string as hex
+function hashString(str) {
+  var hash = 0x811c9dc5;
+  for (var i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash +=
+      (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+    hash = hash >>> 0;
+  }
+  return ("0000000" + hash.toString(16)).slice(-8);
+}
+
+//Function to get the ids of the collections an origin pulls its data from
+function getInputCollectionIds(args) {
+  var ids = [];
+  var toaOrSR =
+    typeof args.toaOrSR === "string" ? args.toaOrSR.toUpperCase() : "SR";
+  if (args.origin === "Landsat" || args.origin === "Landsat-Sentinel2-Hybrid") {
+    var prefix = args.landsatCollectionVersion + "_";
+    var suffix = "_" + toaOrSR;
+    Object.keys(landsatCollectionDict).forEach(function (key) {
+      if (key.indexOf(prefix) === 0 && key.slice(-suffix.length) === suffix) {
+        ids.push(landsatCollectionDict[key]);
+      }
+    });
+  }
+  if (
+    args.origin === "Sentinel2" ||
+    args.origin === "Landsat-Sentinel2-Hybrid"
+  ) {
+    ids.push(s2CollectionDict[toaOrSR]);
+    if (args.applyCloudProbability) {
+      ids.push("COPERNICUS/S2_CLOUD_PROBABILITY");
+    }
+    if (args.applyCloudScorePlus) {
+      ids.push("GOOGLE/CLOUD_SCORE_PLUS/V1/S2_HARMONIZED");
+    }
+  }
+  if (args.origin === "Sentinel1") {
+    ids.push("COPERNICUS/S1_GRD");
+  }
+  if (args.origin === "Climate") {
+    ids.push(args.collectionName);
+  }
+  return ids;
+}
+
+//Function to get the start and end dates (inclusive) of the window used for a given composite year
+function getCompositeDateWindow(year, startJulian, endJulian, timebuffer) {
+  var wrapOffset = wrapDates(startJulian, endJulian)[0];
+  var startDate = new Date(Date.UTC(year - timebuffer, 0, startJulian));
+  var endDate = new Date(
+    Date.UTC(year + timebuffer, 0, endJulian + wrapOffset)
   );
+  return {
+    startDate: startDate.toISOString().slice(0, 10),
+    endDate: endDate.toISOString().slice(0, 10),
+  };
+}
+
+//Function to build a reproducibility manifest from a wrapper's args
+//Includes the canonical parameters, library version, input collection ids,
+//the date window of each composite, and a hash of the parameters
+//The parameters are the arguments the wrapper was called with (see prepArgumentsObject),
+//so keys the wrapper adds to its args (e.g. origin or exportBands) are not recorded
+function getExportManifest(args) {
+  var inputArgs = args.initialArguments || args;
+  var parameters = {};
+  Object.keys(inputArgs)
+    .sort()
+    .forEach(function (key) {
+      if (
+        manifestExcludeKeys.indexOf(key) === -1 &&
+        !(inputArgs[key] instanceof ee.ImageCollection)
+      ) {
+        parameters[key] = toCanonicalValue(inputArgs[key]);
+      }
+    });
+
+  var dateWindows = [];
+  if (
+    typeof args.startYear === "number" &&
+    typeof args.endYear === "number" &&
+    typeof args.startJulian === "number" &&
+    typeof args.endJulian === "number"
+  ) {
+    var timebuffer = args.timebuffer || 0;
+    var yearWithMajority = wrapDates(args.startJulian, args.endJulian)[1];
+    range(args.startYear + timebuffer, args.endYear - timebuffer + 1).map(
+      function (year) {
+        var dateWindow = getCompositeDateWindow(
+          year,
+          args.startJulian,
+          args.endJulian,
+          timebuffer
+        );
+        dateWindow.year = year + yearWithMajority;
+        dateWindows.push(dateWindow);
+      }
+    );
+  }
+
+  return {
+    wrapper: manifestWrapperDict[args.origin] || null,
+    libraryVersion: libraryVersion,
+    parameters: parameters,
+    parameterHash: hashString(JSON.stringify(parameters)),
+    inputCollections: getInputCollectionIds(args),
+    dateWindows: dateWindows,
+  };
+}
+
+//Function to flatten args so they can be set as image properties
+//Numbers, strings, booleans, and lists of them are kept as is, ee collections are dropped,
+//and everything else is stored as canonical JSON
+function getFlatArgsProperties(args) {
+  var isPrimitive = function (value) {
+    return (
+      typeof value === "number" ||
+      typeof value === "string" ||
+      typeof value === "boolean"
+    );
+  };
+  var out = {};
+  Object.keys(args).forEach(function (key) {
+    var value = args[key];
+    if (
+      value === undefined ||
+      value === null ||
+      value instanceof ee.ImageCollection
+    ) {
+      return;
+    } else if (
+      isPrimitive(value) ||
+      (Array.isArray(value) && value.every(isPrimitive))
+    ) {
+      out[key] = value;
+    } else {
+      out[key] = JSON.stringify(toCanonicalValue(value));
+    }
+  });
+  return out;
+}
+
+//Function to get the flat manifest properties for a single export
+//dateWindow is the window of the exported composite (see getCompositeDateWindow)
+function getManifestProperties(manifest, dateWindow) {
+  return {
+    manifestJSON: JSON.stringify(manifest),
+    manifestWrapper: manifest.wrapper || "",
+    manifestLibraryVersion: manifest.libraryVersion,
+    manifestParameterHash: manifest.parameterHash,
+    manifestInputCollections: manifest.inputCollections.join(","),
+    manifestStartDate: dateWindow.startDate,
+    manifestEndDate: dateWindow.endDate,
+  };
+}
+
+//Function to export manifest properties as a single-feature sidecar table
+//Asset manifests are written to the folder containing exportPathRoot since
+//tables cannot be written into an image collection
+function exportManifestTable(
+  manifestProperties,
+  exportName,
+  exportPathRoot,
+  exportDestination,
+  exportFolder,
+  exportBucket
+) {
+  var manifestTable = ee.FeatureCollection([
+    ee.Feature(null, manifestProperties),
+  ]);
+  var manifestName = exportName + "_manifest";
+  print("Exporting manifest:", manifestName);
+  if (exportDestination === "drive") {
+    Export.table.toDrive(
+      manifestTable,
+      manifestName,
+      exportFolder,
+      manifestName,
+      "CSV"
+    );
+  } else if (exportDestination === "cloudStorage") {
+    var fileNamePrefix = manifestName;
+    if (exportFolder !== null && exportFolder !== undefined) {
+      fileNamePrefix = exportFolder + "/" + manifestName;
+    }
+    Export.table.toCloudStorage(
+      manifestTable,
+      manifestName,
+      exportBucket,
+      fileNamePrefix,
+      "CSV"
+    );
+  } else {
+    var manifestFolder = exportPathRoot.split("/").slice(0, -1).join("/");
+    Export.table.toAsset(
+      manifestTable,
+      manifestName,
+      manifestFolder + "/" + manifestName
+    );
+  }
+}
+
+//Function to rebuild a wrapper call from a manifest
+//Accepts a manifest object or its JSON (e.g. the manifestJSON property of an exported image)
+//Returns the name of the wrapper and the args to call it with
+function getWrapperCallFromManifest(manifest) {
+  if (typeof manifest === "string") {
+    manifest = JSON.parse(manifest);
+  }
+  if (manifest.wrapper === null || manifest.wrapper === undefined) {
+    throw new Error(
+      "getWrapperCallFromManifest: manifest has no wrapper. Options are: " +
+        Object.keys(manifestWrapperDict)
+          .map(function (origin) {
+            return manifestWrapperDict[origin];
+          })
+          .join(", ")
+    );
+  }
+  if (manifest.libraryVersion !== libraryVersion) {
+    print(
+      "Manifest was created with library version " +
+        manifest.libraryVersion +
+        " but this is version " +
+        libraryVersion +
+        ". Outputs may differ."
+    );
+  }
+  return {
+    wrapper: manifest.wrapper,
+    args: fromCanonicalValue(manifest.parameters),
+  };
+}
+
+//Function to rerun the wrapper call recorded in a manifest
+function runWrapperFromManifest(manifest) {
+  var wrapperFunctions = {
+    getLandsatWrapper: getLandsatWrapper,
+    getSentinel2Wrapper: getSentinel2Wrapper,
+    getLandsatAndSentinel2HybridWrapper: getLandsatAndSentinel2HybridWrapper,
+    getSentinel1Wrapper: getSentinel1Wrapper,
+    getClimateWrapper: getClimateWrapper,
+  };
+  var call = getWrapperCallFromManifest(manifest);
+  return wrapperFunctions[call.wrapper](call.args);
+}
+////////////////////////////////////////////////////////////////////////////////
+// Processing grids and batch runs
+// Large study areas can be split into tiles that are each run through a wrapper separately
+//
+//Function to build a processing grid of tiles intersecting a study area
+//Tiles are either tileSizePixels square snapped to the pixel grid of projection
+//(a common_projections key or a {crs, transform} object) or user-provided polygons in tiles
+//Each tile is clipped to the study area and has a tileID property that is stable across runs
+function getProcessingGrid() {
+  var defaultArgs = {
+    studyArea: null,
+    projection: "NLCD_CONUS",
+    tileSizePixels: 3000,
+    tiles: null,
+    tileIDProperty: null,
+  };
+
+  var args = prepArgumentsObject(arguments, defaultArgs);
+
+  var region = args.studyArea;
+  try {
+    region = region.geometry();
+  } catch (e) {
+    var x = e;
+  }
+
+  if (args.tiles !== null) {
+    return ee
+      .FeatureCollection(args.tiles)
+      .filterBounds(region)
+      .map(function (tile) {
+        var tileID =
+          args.tileIDProperty === null
+            ? tile.get("system:index")
+            : tile.get(args.tileIDProperty);
+        return ee
+          .Feature(tile.geometry().intersection(region, 1))
+          .set("tileID", ee.Algorithms.String(tileID));
+      });
+  }
+
+  var projection = args.projection;
+  if (typeof projection === "string") {
+    if (common_projections[projection] === undefined) {
+      throw new Error(
+        "getProcessingGrid: unknown projection " +
+          projection +
+          ". Options are: " +
+          Object.keys(common_projections).join(", ")
+      );
+    }
+    projection = common_projections[projection];
+  }
+  //Each pixel of the scaled projection is one tile, so tiles line up with the output pixels
+  var gridProjection = ee
+    .Projection(projection.crs, projection.transform)
+    .scale(args.tileSizePixels, args.tileSizePixels);
+  return region.coveringGrid(gridProjection).map(function (tile) {
+    //Grid cell ids are "column,row"
+    var tileID = ee
+      .String(tile.get("system:index"))
+      .replace(",", "_", "g")
+      .replace("-", "m", "g");
+    return ee
+      .Feature(tile.geometry().intersection(region, 1))
+      .set("tileID", ee.String("tile_").cat(tileID));
+  });
+}
+
+//Function to run a wrapper once per tile of a processing grid
+//If wrapperArgs is provided, the wrapper is called with a copy of it where studyArea is the tile
+//buffered by overlap meters (so focal operations such as sieve and shadow projection have context),
+//exportArea is the unbuffered tile (used by exportCompositeCollection), and the tileID is appended to outputName
+//Otherwise the wrapper is called with a tile object of tileID, studyArea, and exportArea, which allows
+//wrapping functions with positional arguments (e.g. simpleLANDTRENDR or a CCDC run)
+//Tiles in completedTiles are skipped and at most maxTiles are run, so large runs can be resumed
+//by passing the printed completedTiles to the next run
+//Note that completed means the wrapper was called (and any export tasks were created)
+//The tile ids are listed asynchronously, so the tiles are run after this returns. The outputs of each
+//tile and the completedTiles are added to the returned args object, which is then passed to callback
+function batchRunTiles() {
+  var defaultArgs = {
+    wrapper: null,
+    wrapperArgs: null,
+    processingGrid: null,
+    overlap: 0,
+    completedTiles: [],
+    maxTiles: null,
+    callback: null,
+  };
+
+  var args = prepArgumentsObject(arguments, defaultArgs);
+  args.outputs = {};
+
+  //Function to run the tiles that are not completed yet
+  function runTiles(tileIDs) {
+    var tilesToRun = tileIDs.filter(function (tileID) {
+      return args.completedTiles.indexOf(tileID) === -1;
+    });
+    if (args.maxTiles !== null) {
+      tilesToRun = tilesToRun.slice(0, args.maxTiles);
+    }
+    print(
+      "Running " + tilesToRun.length + " of " + tileIDs.length + " tiles:",
+      tilesToRun
+    );
+
+    tilesToRun.forEach(function (tileID) {
+      var exportArea = ee
+        .Feature(
+          args.processingGrid.filter(ee.Filter.eq("tileID", tileID)).first()
+        )
+        .geometry();
+      var tileStudyArea = exportArea;
+      if (args.overlap > 0) {
+        tileStudyArea = exportArea.buffer(args.overlap, 100);
+      }
+
+      var out;
+      if (args.wrapperArgs === null) {
+        out = args.wrapper({
+          tileID: tileID,
+          studyArea: tileStudyArea,
+          exportArea: exportArea,
+        });
+      } else {
+        //Copy the args since wrappers add to the args object they are given
+        var tileArgs = {};
+        Object.keys(args.wrapperArgs).forEach(function (key) {
+          tileArgs[key] = args.wrapperArgs[key];
+        });
+        tileArgs.studyArea = tileStudyArea;
+        tileArgs.exportArea = exportArea;
+        tileArgs.outputName = [args.wrapperArgs.outputName, tileID]
+          .filter(function (name) {
+            return name !== undefined && name !== null;
+          })
+          .join("_");
+        out = args.wrapper(tileArgs);
+      }
+      args.outputs[tileID] = out;
+      args.completedTiles = args.completedTiles.concat([tileID]);
+    });
+    print(
+      "Completed tiles (pass as completedTiles to resume):",
+      args.completedTiles
+    );
+  }
+
+  args.processingGrid
+    .aggregate_array("tileID")
+    .evaluate(function (tileIDs, error) {
+      if (error) {
+        throw new Error("batchRunTiles: " + error);
+      }
+      runTiles(tileIDs);
+      if (args.callback !== null) {
+        args.callback(args);
+      }
+    });
+  return args;
 }
 // exportToDriveWrapper(ee.Image(1),'jsTest1','jsTest',geometry,30,'EPSG:5070')
 //////////////////////////////////////////////////
@@ -2657,6 +5324,81 @@ function wrapDates(startJulian, endJulian) {
   return [wrapOffset, yearWithMajority];
 }
 ////////////////////////////////////////////////////////////////////////////////
+// Function to get the images within the weighted moving window of a given year
+// Images from each year within year - timebuffer to year + timebuffer are repeated
+// by their respective weights
+// Expects an args object with startJulian, endJulian, timebuffer, weights, and wrapOffset
+function getWeightedWindowCollection(ls, year, args, dummyImage) {
+  var startYearT = year - args.timebuffer;
+  var endYearT = year + args.timebuffer;
+
+  //Set up weighted moving widow
+  var yearsT = ee.List.sequence(startYearT, endYearT);
+
+  var z = yearsT.zip(args.weights);
+  var yearsTT = z
+    .map(function (i) {
+      i = ee.List(i);
+      return ee.List.repeat(i.get(0), i.get(1));
+    })
+    .flatten();
+  // print('Weighted composite years for year:',year,yearsTT);
+
+  //Iterate across each year in list
+  var images = yearsTT.map(function (yr) {
+    // Set up dates
+
+    var startDateT = ee.Date.fromYMD(yr, 1, 1).advance(
+      args.startJulian - 1,
+      "day"
+    );
+    var endDateT = ee.Date.fromYMD(yr, 1, 1).advance(
+      args.endJulian - 1 + args.wrapOffset,
+      "day"
+    );
+
+    // Filter images for given date range
+    var lsT = ls.filterDate(startDateT, endDateT.advance(1, "day"));
+    lsT = fillEmptyCollections(lsT, dummyImage);
+    return lsT;
+  });
+  return ee.ImageCollection(ee.FeatureCollection(images).flatten());
+}
+////////////////////////////////////////////////////////////////////////////////
+// Function to composite a collection using the compositingReducer if provided, otherwise the compositingMethod
+// Expects an args object with the compositing params of compositeTimeSeries
+// year, timebuffer, and bapParams are only used for BAP composites
+function getCompositeByMethod(lsT, args, year, timebuffer, bapParams) {
+  var composite;
+  if (
+    args.compositingReducer !== undefined &&
+    args.compositingReducer !== null
+  ) {
+    composite = lsT.reduce(args.compositingReducer);
+  } else if (args.compositingMethod.toLowerCase() === "median") {
+    composite = lsT.median();
+  } else if (args.compositingMethod.toLowerCase() === "bap") {
+    composite = bapMosaic(lsT, year, timebuffer, bapParams);
+  } else if (args.compositingMethod.toLowerCase() === "geometricmedian") {
+    composite = geometricMedianMosaic(
+      lsT,
+      args.medoidIncludeBands,
+      args.geometricMedianIterations
+    );
+  } else if (args.compositingMethod.toLowerCase() === "percentile") {
+    composite = lsT
+      .median()
+      .addBands(
+        lsT
+          .select(args.compositePercentileBands)
+          .reduce(ee.Reducer.percentile(args.compositePercentiles))
+      );
+  } else {
+    composite = medoidMosaicMSD(lsT, args.medoidIncludeBands);
+  }
+  return composite;
+}
+////////////////////////////////////////////////////////////////////////////////
 // Create composites for each year within startYear and endYear range
 //See default args for necessary params
 //There are no default params- all must be provided either listed out in the function call or as an object
@@ -2671,9 +5413,35 @@ function compositeTimeSeries() {
     weights: null,
     compositingMethod: null,
     compositingReducer: null,
+    medoidIncludeBands: null,
+    addMaskReason: false,
+    bapParams: null,
+    compositePercentiles: [25, 75],
+    compositePercentileBands: ["nir", "swir1", "swir2"],
+    geometricMedianIterations: 10,
   };
   var args = prepArgumentsObject(arguments, defaultArgs);
 
+  //Default to optical bands for the medoid (and geometric median) if not specified
+  if (
+    args.medoidIncludeBands === undefined ||
+    args.medoidIncludeBands === null
+  ) {
+    args.medoidIncludeBands = ["green", "red", "nir", "swir1", "swir2"];
+  }
+
+  //Fill in any BAP params that are not provided
+  if (
+    args.compositingMethod !== null &&
+    args.compositingMethod.toLowerCase() === "bap"
+  ) {
+    args.bapParams = getBAPParams(
+      args.bapParams,
+      args.startJulian,
+      args.endJulian
+    );
+  }
+
   print(args);
   var dummyImage = ee.Image(args.ls.first());
 
@@ -2700,59 +5468,206 @@ function compositeTimeSeries() {
 
     // print(year,startDateT,endDateT);
 
-    //Set up weighted moving widow
-    var yearsT = ee.List.sequence(startYearT, endYearT);
+    //Get the images in the weighted moving window
+    var lsT = getWeightedWindowCollection(args.ls, year, args, dummyImage);
 
-    var z = yearsT.zip(args.weights);
-    var yearsTT = z
-      .map(function (i) {
-        i = ee.List(i);
-        return ee.List.repeat(i.get(0), i.get(1));
-      })
-      .flatten();
-    // print('Weighted composite years for year:',year,yearsTT);
+    //Summarize and then remove the maskReason band so it is not composited
+    var maskReasonCounts;
+    if (args.addMaskReason === true) {
+      maskReasonCounts = getMaskReasonCounts(lsT, args.maskReasons);
+      lsT = lsT.select(dummyImage.bandNames().remove("maskReason"));
+    }
 
-    //Iterate across each year in list
-    var images = yearsTT.map(function (yr) {
-      // Set up dates
+    var count = lsT.select([0]).count().rename(["compositeObsCount"]);
+    // Compute median or medoid or apply reducer
+    var composite = getCompositeByMethod(
+      lsT,
+      args,
+      year,
+      args.timebuffer,
+      args.bapParams
+    );
+    composite = composite.addBands(count);
+    if (args.addMaskReason === true) {
+      composite = composite.addBands(maskReasonCounts);
+    }
+    composite = composite.float();
+    return composite.set({
+      "system:time_start": ee.Date.fromYMD(
+        year + args.yearWithMajority,
+        6,
+        1
+      ).millis(),
+      startDate: startDateT.millis(),
+      endDate: endDateT.millis(),
+      startJulian: args.startJulian,
+      endJulian: args.endJulian,
+      yearBuffer: args.timebuffer,
+      yearWeights: listToString(args.weights),
+      yrOriginal: year,
+      yrUsed: year + args.yearWithMajority,
+    });
+  });
+  return ee.ImageCollection(ts).set(args);
+}
 
-      var startDateT = ee.Date.fromYMD(yr, 1, 1).advance(
-        args.startJulian - 1,
-        "day"
-      );
-      var endDateT = ee.Date.fromYMD(yr, 1, 1).advance(
-        args.endJulian - 1 + args.wrapOffset,
-        "day"
-      );
+////////////////////////////////////////////////////////////////////////////////
+// Spectral-temporal metrics (STMs)
+// Summarizes each band/index across all observations within the same weighted moving
+// window used by compositeTimeSeries (startJulian, endJulian, timebuffer, and weights)
+// Observations in the window are repeated by the weight of their year, so all metrics except
+// count are weighted by these repeats. count is the number of distinct observations
+// Available stmMetrics and their band names:
+// percentile: <band>_p<percentile> for each of stmPercentiles
+// iqr: <band>_iqr (75th - 25th percentile)
+// stdDev: <band>_stdDev
+// mean: <band>_mean
+// intervalMean: <band>_imean<low>_<high> (mean of values between each [low, high] percentile pair in stmIntervals)
+// count: <band>_count (not weighted)
+var stmMetricNames = [
+  "percentile",
+  "iqr",
+  "stdDev",
+  "mean",
+  "intervalMean",
+  "count",
+];
 
-      // Filter images for given date range
-      var lsT = args.ls.filterDate(startDateT, endDateT.advance(1, "day"));
-      lsT = fillEmptyCollections(lsT, dummyImage);
-      return lsT;
+// Function to get the STM band names for an args object with stmBands, stmMetrics, stmPercentiles, and stmIntervals
+function getSTMBandNames(args) {
+  var out = [];
+  args.stmMetrics.map(function (metric) {
+    args.stmBands.map(function (bn) {
+      if (metric === "percentile") {
+        args.stmPercentiles.map(function (percentile) {
+          out.push(bn + "_p" + percentile.toString());
+        });
+      } else if (metric === "intervalMean") {
+        args.stmIntervals.map(function (interval) {
+          out.push(bn + "_imean" + interval[0] + "_" + interval[1]);
+        });
+      } else if (stmMetricNames.indexOf(metric) > -1) {
+        out.push(bn + "_" + metric);
+      } else {
+        throw new Error(
+          "getSTMBandNames: unknown stmMetric " +
+            metric +
+            ". Options are: " +
+            stmMetricNames.join(", ")
+        );
+      }
     });
-    var lsT = ee.ImageCollection(ee.FeatureCollection(images).flatten());
+  });
+  return out;
+}
 
-    var count = lsT.select([0]).count().rename(["compositeObsCount"]);
-    // Compute median or medoid or apply reducer
-    var composite;
-    if (
-      args.compositingReducer !== undefined &&
-      args.compositingReducer !== null
-    ) {
-      composite = lsT.reduce(args.compositingReducer);
-    } else if (args.compositingMethod.toLowerCase() === "median") {
-      composite = lsT.median();
+// Function to get the spectral-temporal metrics image for a collection
+// lsCount is an optional collection to compute the count metric from (e.g. the window without
+// weight repeats). Defaults to lsT
+function getSTMImage(lsT, args, lsCount) {
+  lsT = lsT.select(args.stmBands);
+  if (lsCount === undefined || lsCount === null) {
+    lsCount = lsT;
+  }
+  function bandNamesWithSuffix(suffix) {
+    return args.stmBands.map(function (bn) {
+      return bn + suffix;
+    });
+  }
+  var metrics = args.stmMetrics.map(function (metric) {
+    if (metric === "percentile") {
+      return lsT.reduce(ee.Reducer.percentile(args.stmPercentiles));
+    } else if (metric === "iqr") {
+      var quartiles = lsT.reduce(ee.Reducer.percentile([25, 75]));
+      return quartiles
+        .select(bandNamesWithSuffix("_p75"))
+        .subtract(quartiles.select(bandNamesWithSuffix("_p25")))
+        .rename(bandNamesWithSuffix("_iqr"));
+    } else if (metric === "stdDev") {
+      return lsT
+        .reduce(ee.Reducer.stdDev())
+        .rename(bandNamesWithSuffix("_stdDev"));
+    } else if (metric === "mean") {
+      return lsT.reduce(ee.Reducer.mean()).rename(bandNamesWithSuffix("_mean"));
+    } else if (metric === "intervalMean") {
+      return ee.Image.cat(
+        args.stmIntervals.map(function (interval) {
+          return lsT
+            .reduce(ee.Reducer.intervalMean(interval[0], interval[1]))
+            .rename(
+              bandNamesWithSuffix("_imean" + interval[0] + "_" + interval[1])
+            );
+        })
+      );
     } else {
-      composite = medoidMosaicMSD(lsT, [
-        "green",
-        "red",
-        "nir",
-        "swir1",
-        "swir2",
-      ]);
+      return lsCount
+        .select(args.stmBands)
+        .reduce(ee.Reducer.count())
+        .rename(bandNamesWithSuffix("_count"));
     }
-    composite = composite.addBands(count).float();
-    return composite.set({
+  });
+  return ee.Image.cat(metrics).select(getSTMBandNames(args)).float();
+}
+
+// Function to get annual spectral-temporal metrics
+// ls should be the scenes from any of the getProcessed*Scenes functions and include the stmBands
+// Returns an imageCollection with an image per year with system:time_start and metadata set the same
+// as compositeTimeSeries
+function getSpectralTemporalMetrics() {
+  var defaultArgs = {
+    ls: null,
+    startYear: null,
+    endYear: null,
+    startJulian: null,
+    endJulian: null,
+    timebuffer: 0,
+    weights: [1],
+    stmBands: ["blue", "green", "red", "nir", "swir1", "swir2", "NDVI", "NBR"],
+    stmMetrics: ["percentile", "iqr", "stdDev", "mean", "count"],
+    stmPercentiles: [10, 25, 50, 75, 90],
+    stmIntervals: [[25, 75]],
+  };
+  var args = prepArgumentsObject(arguments, defaultArgs);
+
+  // Validate the metrics before any processing
+  args.stmBandNames = getSTMBandNames(args);
+
+  var dummyImage = ee.Image(args.ls.first());
+  args.dateWrapping = wrapDates(args.startJulian, args.endJulian);
+  args.wrapOffset = args.dateWrapping[0];
+  args.yearWithMajority = args.dateWrapping[1];
+
+  //Window args with each year used once so the count metric is not inflated by the weights
+  var countArgs = copyObj(args);
+  countArgs.weights = args.weights.map(function (weight) {
+    return weight > 0 ? 1 : 0;
+  });
+
+  //Iterate across each year
+  var ts = range(
+    args.startYear + args.timebuffer,
+    args.endYear - args.timebuffer + 1
+  ).map(function (year) {
+    // Set up dates
+    var startDateT = ee.Date.fromYMD(year - args.timebuffer, 1, 1).advance(
+      args.startJulian - 1,
+      "day"
+    );
+    var endDateT = ee.Date.fromYMD(year + args.timebuffer, 1, 1).advance(
+      args.endJulian - 1 + args.wrapOffset,
+      "day"
+    );
+
+    //Get the images in the weighted moving window
+    var lsT = getWeightedWindowCollection(args.ls, year, args, dummyImage);
+    var lsCount = getWeightedWindowCollection(
+      args.ls,
+      year,
+      countArgs,
+      dummyImage
+    );
+
+    return getSTMImage(lsT, args, lsCount).set({
       "system:time_start": ee.Date.fromYMD(
         year + args.yearWithMajority,
         6,
@@ -2768,7 +5683,171 @@ function compositeTimeSeries() {
       yrUsed: year + args.yearWithMajority,
     });
   });
-  return ee.ImageCollection(ts).set(args);
+  return ee.ImageCollection(ts);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Create sub-annual composites for each year within startYear and endYear range
+// binType options:
+// month: a composite for each month
+// season: a composite for each season in seasons ({name: [startJulian, endJulian]})
+//   Seasons can wrap across the end of the year (e.g. {winter: [335, 59]}) and are labeled
+//   with the year that has the majority of their days (see wrapDates). A season is made for each
+//   label year from startYear to endYear, so the winter labeled startYear starts in December
+//   of the year before startYear
+// nDay: a composite every nDays starting on startJulian through endJulian
+//   startJulian and endJulian can wrap across the end of the year the same way as seasons
+// Any compositingMethod (or compositingReducer) that compositeTimeSeries supports can be used
+// Each composite has a compositeObsCount band, system:time_start and system:time_end set to the
+// start and end of the period, a period label, and the number of scenes in the period (nScenes)
+function temporalBinComposites() {
+  var defaultArgs = {
+    ls: null,
+    startYear: null,
+    endYear: null,
+    binType: "season",
+    seasons: {
+      Q1: [1, 90],
+      Q2: [91, 181],
+      Q3: [182, 273],
+      Q4: [274, 365],
+    },
+    nDays: 16,
+    startJulian: 1,
+    endJulian: 365,
+    compositingMethod: "medoid",
+    compositingReducer: null,
+    medoidIncludeBands: null,
+    addMaskReason: false,
+    bapParams: null,
+    compositePercentiles: [25, 75],
+    compositePercentileBands: ["nir", "swir1", "swir2"],
+    geometricMedianIterations: 10,
+  };
+  var args = prepArgumentsObject(arguments, defaultArgs);
+
+  //Default to optical bands for the medoid (and geometric median) if not specified
+  if (
+    args.medoidIncludeBands === undefined ||
+    args.medoidIncludeBands === null
+  ) {
+    args.medoidIncludeBands = ["green", "red", "nir", "swir1", "swir2"];
+  }
+  var dummyImage = ee.Image(args.ls.first());
+
+  //Set up the periods for each year
+  var periods = [];
+  range(args.startYear, args.endYear + 1).map(function (year) {
+    if (args.binType === "month") {
+      range(1, 13).map(function (month) {
+        var startDate = ee.Date.fromYMD(year, month, 1);
+        //Julian days of the month (used to find the target day of BAP composites)
+        var startJulian =
+          (Date.UTC(year, month - 1, 1) - Date.UTC(year, 0, 1)) / 86400000 + 1;
+        var endJulian =
+          (Date.UTC(year, month, 1) - Date.UTC(year, 0, 1)) / 86400000;
+        periods.push({
+          label: year.toString() + "-" + (month < 10 ? "0" : "") + month,
+          year: year,
+          startDate: startDate,
+          endDate: startDate.advance(1, "month"),
+          startJulian: startJulian,
+          endJulian: endJulian,
+        });
+      });
+    } else if (args.binType === "season") {
+      Object.keys(args.seasons).map(function (seasonName) {
+        var season = args.seasons[seasonName];
+        var dateWrapping = wrapDates(season[0], season[1]);
+        //Seasons that wrap with the majority of their days in the second year start the year before
+        var seasonYearStart = ee.Date.fromYMD(year - dateWrapping[1], 1, 1);
+        periods.push({
+          label: year.toString() + "_" + seasonName,
+          year: year,
+          startDate: seasonYearStart.advance(season[0] - 1, "day"),
+          endDate: seasonYearStart.advance(season[1] + dateWrapping[0], "day"),
+          startJulian: season[0],
+          endJulian: season[1],
+        });
+      });
+    } else if (args.binType === "nDay") {
+      var dateWrapping = wrapDates(args.startJulian, args.endJulian);
+      var nDayYearStart = ee.Date.fromYMD(year - dateWrapping[1], 1, 1);
+      var lastJulian = args.endJulian + dateWrapping[0];
+      for (
+        var startJulian = args.startJulian;
+        startJulian <= lastJulian;
+        startJulian += args.nDays
+      ) {
+        var endJulian = Math.min(startJulian + args.nDays - 1, lastJulian);
+        var startDate = nDayYearStart.advance(startJulian - 1, "day");
+        periods.push({
+          label: startDate.format("yyyy-MM-dd"),
+          year: year,
+          startDate: startDate,
+          endDate: nDayYearStart.advance(endJulian, "day"),
+          //Julian days of the period within its own year (used to find the target day of BAP composites)
+          startJulian: ((startJulian - 1) % 365) + 1,
+          endJulian: ((endJulian - 1) % 365) + 1,
+        });
+      }
+    } else {
+      throw new Error(
+        "temporalBinComposites: unknown binType " +
+          args.binType +
+          ". Options are: month, season, nDay"
+      );
+    }
+  });
+
+  var ts = periods.map(function (period) {
+    var lsT = args.ls.filterDate(period.startDate, period.endDate);
+    var nScenes = lsT.size();
+    lsT = fillEmptyCollections(lsT, dummyImage);
+
+    //Summarize and then remove the maskReason band so it is not composited
+    var maskReasonCounts;
+    if (args.addMaskReason === true) {
+      maskReasonCounts = getMaskReasonCounts(lsT, args.maskReasons);
+      lsT = lsT.select(dummyImage.bandNames().remove("maskReason"));
+    }
+
+    //Set the BAP target day to the middle of each period
+    var bapParams = null;
+    if (
+      args.compositingMethod !== null &&
+      args.compositingMethod.toLowerCase() === "bap"
+    ) {
+      bapParams = getBAPParams(
+        args.bapParams,
+        period.startJulian,
+        period.endJulian
+      );
+    }
+
+    var count = lsT.select([0]).count().rename(["compositeObsCount"]);
+    //The BAP year offset is relative to the year the period starts in
+    var composite = getCompositeByMethod(
+      lsT,
+      args,
+      period.startDate.get("year"),
+      0,
+      bapParams
+    );
+    composite = composite.addBands(count);
+    if (args.addMaskReason === true) {
+      composite = composite.addBands(maskReasonCounts);
+    }
+    return composite.float().set({
+      "system:time_start": period.startDate.millis(),
+      "system:time_end": period.endDate.millis(),
+      period: period.label,
+      periodType: args.binType,
+      year: period.year,
+      nScenes: nScenes,
+    });
+  });
+  return ee.ImageCollection(ts);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -2919,13 +5998,12 @@ var getQABits = function (image, start, end, newName) {
 };
 /////////////////////////////////////////////////////////////////
 // A function to mask out cloudy pixels.
-var maskCloudsWQA = function (image) {
-  // Select the QA band.
-  var QA = image.select("state_1km");
-  // Get the internal_cloud_algorithm_flag bit.
-  var internalCloud = getQABits(QA, 10, 10, "internal_cloud_algorithm_flag");
-  // Return an image masking out cloudy areas.
-  return image.mask(image.mask().and(internalCloud.eq(0)));
+// Optionally provide a list of MODIS_state_1km flags in qaBitSpecDict to mask (defaults to the internal cloud algorithm flag)
+var maskCloudsWQA = function (image, maskFlags) {
+  if (maskFlags === undefined || maskFlags === null) {
+    maskFlags = ["internalCloud"];
+  }
+  return applyQAMask(image, "MODIS_state_1km", maskFlags);
 };
 /////////////////////////////////////////////////////////////////
 //////////////////////////////////////////////////////////////////////////
@@ -3069,12 +6147,21 @@ var modis250BandNames = ["red", "nir"];
 var modis500SelectBands = [
   "sur_refl_b03",
   "sur_refl_b04",
+  "sur_refl_b05",
   "sur_refl_b06",
   "sur_refl_b07",
 ];
-var modis500BandNames = ["blue", "green", "swir1", "swir2"];
+var modis500BandNames = ["blue", "green", "nir2", "swir1", "swir2"];
 
-var combinedModisBandNames = ["red", "nir", "blue", "green", "swir1", "swir2"];
+var combinedModisBandNames = [
+  "red",
+  "nir",
+  "blue",
+  "green",
+  "nir2",
+  "swir1",
+  "swir2",
+];
 
 var dailyViewAngleBandNames = [
   "SensorZenith",
@@ -3115,12 +6202,15 @@ var modisCDict = {
 };
 var multModisDict = {
   tempNoAngleDaily: [
-    ee.Image([0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.02, 1, 1]),
+    ee.Image([
+      0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.02, 1, 1,
+    ]),
     [
       "blue",
       "green",
       "red",
       "nir",
+      "nir2",
       "swir1",
       "temp",
       "swir2",
@@ -3129,12 +6219,15 @@ var multModisDict = {
     ],
   ],
   tempNoAngleComposite: [
-    ee.Image([0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.02, 1, 1]),
+    ee.Image([
+      0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.02, 1, 1,
+    ]),
     [
       "blue",
       "green",
       "red",
       "nir",
+      "nir2",
       "swir1",
       "temp",
       "swir2",
@@ -3145,13 +6238,15 @@ var multModisDict = {
 
   tempAngleDaily: [
     ee.Image([
-      0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 1, 1, 1, 1, 0.02, 1, 1,
+      0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 1, 1, 1, 1, 0.02,
+      1, 1,
     ]),
     [
       "blue",
       "green",
       "red",
       "nir",
+      "nir2",
       "swir1",
       "temp",
       "swir2",
@@ -3165,13 +6260,15 @@ var multModisDict = {
   ],
   tempAngleComposite: [
     ee.Image([
-      0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 1, 1, 1, 0.02, 1, 1,
+      0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 1, 1, 1, 0.02, 1,
+      1,
     ]),
     [
       "blue",
       "green",
       "red",
       "nir",
+      "nir2",
       "swir1",
       "temp",
       "swir2",
@@ -3184,21 +6281,24 @@ var multModisDict = {
   ],
 
   noTempNoAngleDaily: [
-    ee.Image([0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001]),
-    ["blue", "green", "red", "nir", "swir1", "swir2"],
+    ee.Image([0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001]),
+    ["blue", "green", "red", "nir", "nir2", "swir1", "swir2"],
   ],
   noTempNoAngleComposite: [
-    ee.Image([0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001]),
-    ["blue", "green", "red", "nir", "swir1", "swir2"],
+    ee.Image([0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001]),
+    ["blue", "green", "red", "nir", "nir2", "swir1", "swir2"],
   ],
 
   noTempAngleDaily: [
-    ee.Image([0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 1, 1, 1, 1]),
+    ee.Image([
+      0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 1, 1, 1, 1,
+    ]),
     [
       "blue",
       "green",
       "red",
       "nir",
+      "nir2",
       "swir1",
       "swir2",
       "SensorZenith",
@@ -3208,12 +6308,13 @@ var multModisDict = {
     ],
   ],
   noTempAngleComposite: [
-    ee.Image([0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 1, 1, 1]),
+    ee.Image([0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 0.0001, 1, 1, 1]),
     [
       "blue",
       "green",
       "red",
       "nir",
+      "nir2",
       "swir1",
       "swir2",
       "SolarZenith",
@@ -3426,6 +6527,404 @@ function despikeCollection(c, absoluteSpike, bandNo) {
   return ee.ImageCollection.fromImages(outCollection);
 }
 
+//Join-based method for removing spikes in time series
+//Handles all bandNames (all bands if null) in one pass without converting the collection to a list
+//Each image is compared to the mean of its neighborWindow nearest unmasked neighbors on each side
+//within maxNeighborDays, so masked neighbors are skipped per pixel
+//Each image is joined to every image within maxNeighborDays, so the cost grows with the number of
+//images in that window. The default of 64 days (four 16-day Landsat revisits) keeps the joins small.
+//Increase it for sparse time series, but very large values approach comparing every pair of images
+//A value is a spike if it is above (or below) both neighbor means by more than absoluteSpike
+//and by more than relativeSpike percent of the neighbor mean. Set either threshold to null to skip it
+//Spikes are replaced with the average of the two neighbor means and flagged in the despiked band
+function despikeCollectionJoin(
+  c,
+  bandNames,
+  absoluteSpike,
+  relativeSpike,
+  neighborWindow,
+  maxNeighborDays
+) {
+  if (neighborWindow === undefined || neighborWindow === null) {
+    neighborWindow = 1;
+  }
+  if (maxNeighborDays === undefined || maxNeighborDays === null) {
+    maxNeighborDays = 64;
+  }
+  if (
+    (absoluteSpike === undefined || absoluteSpike === null) &&
+    (relativeSpike === undefined || relativeSpike === null)
+  ) {
+    throw new Error(
+      "despikeCollectionJoin: at least one of absoluteSpike or relativeSpike must be specified"
+    );
+  }
+  if (bandNames === undefined || bandNames === null) {
+    bandNames = ee.Image(c.first()).bandNames();
+  }
+  bandNames = ee.List(bandNames);
+
+  var time = "system:time_start";
+  var maxDiff = ee.Filter.maxDifference(
+    maxNeighborDays * 1000 * 60 * 60 * 24,
+    time,
+    null,
+    time
+  );
+  var afterFilter = ee.Filter.and(
+    maxDiff,
+    ee.Filter.lessThan({ leftField: time, rightField: time })
+  );
+  var beforeFilter = ee.Filter.and(
+    maxDiff,
+    ee.Filter.greaterThan({ leftField: time, rightField: time })
+  );
+
+  //Neighbors are sorted so the closest is first
+  var joined = ee.Join.saveAll({
+    matchesKey: "despikeBefore",
+    ordering: time,
+    ascending: false,
+  }).apply(c, c, beforeFilter);
+  joined = ee.Join.saveAll({
+    matchesKey: "despikeAfter",
+    ordering: time,
+    ascending: true,
+  }).apply(joined, c, afterFilter);
+
+  var dummyImage = ee.Image(c.first()).select(bandNames).float();
+
+  //Mean of the neighborWindow closest neighbors that are unmasked at each pixel
+  //toArray drops masked pixels, so the array only holds valid neighbors in order of closeness
+  function getNeighborMean(neighbors) {
+    neighbors = fillEmptyCollections(
+      ee.ImageCollection.fromImages(ee.List(neighbors)).select(bandNames),
+      dummyImage
+    );
+    var neighborArray = neighbors
+      .map(function (img) {
+        return img.float();
+      })
+      .toArray();
+    return neighborArray
+      .updateMask(neighborArray.arrayLength(0).gt(0))
+      .arraySlice(0, 0, neighborWindow)
+      .arrayReduce(ee.Reducer.mean(), [0])
+      .arrayProject([1])
+      .arrayFlatten([bandNames]);
+  }
+
+  return ee.ImageCollection(
+    joined.map(function (img) {
+      img = ee.Image(img);
+      var before = getNeighborMean(img.get("despikeBefore"));
+      var after = getNeighborMean(img.get("despikeAfter"));
+      img = img.set("despikeBefore", null).set("despikeAfter", null);
+      var ct = img.select(bandNames).float();
+
+      var diff1 = ct.subtract(before);
+      var diff2 = ct.subtract(after);
+      var highSpike = diff1.gt(0).and(diff2.gt(0));
+      var lowSpike = diff1.lt(0).and(diff2.lt(0));
+      var spike = highSpike.or(lowSpike);
+      if (absoluteSpike !== undefined && absoluteSpike !== null) {
+        spike = spike.and(
+          diff1.abs().gt(absoluteSpike).and(diff2.abs().gt(absoluteSpike))
+        );
+      }
+      if (relativeSpike !== undefined && relativeSpike !== null) {
+        spike = spike.and(
+          diff1
+            .abs()
+            .divide(before.abs())
+            .gt(relativeSpike / 100)
+            .and(
+              diff2
+                .abs()
+                .divide(after.abs())
+                .gt(relativeSpike / 100)
+            )
+        );
+      }
+      //Only despike where both neighbor means exist
+      spike = spike.unmask(0);
+
+      var lrMean = before.add(after).divide(2);
+      var out = ct.where(spike, lrMean);
+      var despiked = spike
+        .reduce(ee.Reducer.max())
+        .updateMask(img.select(bandNames).mask().reduce(ee.Reducer.max()))
+        .byte()
+        .rename(["despiked"]);
+      return img.addBands(out, null, true).addBands(despiked, null, true);
+    })
+  );
+}
+
+///////////////////////////////////////////////////////////
+//Dense time series smoothing
+//Resamples an irregular scene collection (e.g. combined Landsat and Sentinel 2) to a regular
+//grid of stepDays and smooths it with a Whittaker smoother or a Savitzky-Golay filter
+var smoothingMethods = ["whittaker", "savitzkyGolay"];
+
+//Function to resample a scene collection to a regular grid of stepDays bins
+//Each bin is the mean of the observations that fall within it (masked if there are none)
+//The number of observations and their original timestamps are kept as the nObservations band
+//and the observationTimes property
+function getRegularTimeGrid(scenes, bandNames, startDate, endDate, stepDays) {
+  startDate = ee.Date(startDate);
+  endDate = ee.Date(endDate);
+  scenes = scenes.select(bandNames).filterDate(startDate, endDate);
+  var dummyImage = ee.Image.constant(ee.List.repeat(0, bandNames.length))
+    .rename(bandNames)
+    .float();
+  var nSteps = endDate.difference(startDate, "day").divide(stepDays).ceil();
+  var grid = ee.List.sequence(0, nSteps.subtract(1)).map(function (i) {
+    var binStart = startDate.advance(ee.Number(i).multiply(stepDays), "day");
+    var binEnd = binStart.advance(stepDays, "day");
+    var binScenes = fillEmptyCollections(
+      scenes.filterDate(binStart, binEnd),
+      dummyImage
+    );
+    var nObservations = binScenes
+      .select([bandNames[0]])
+      .count()
+      .unmask(0)
+      .rename(["nObservations"]);
+    return binScenes
+      .mean()
+      .float()
+      .addBands(nObservations.byte())
+      .set({
+        "system:time_start": binStart.millis(),
+        "system:time_end": binEnd.millis(),
+        observationTimes: scenes
+          .filterDate(binStart, binEnd)
+          .aggregate_array("system:time_start"),
+      });
+  });
+  return ee.ImageCollection.fromImages(grid);
+}
+
+//Function to smooth a regular time grid with a Whittaker smoother (second-order differences)
+//Solves (W + lambda D'D)z = Wy for every pixel, where W holds a weight of 1 for bins with
+//observations and 0 for empty bins, so empty bins are filled by the smoother
+//Larger lambda values give smoother output. Memory grows with the square of the grid length,
+//so long daily grids should be smoothed a year or so at a time
+function whittakerSmooth(grid, bandNames, lambda) {
+  var n = grid.size();
+  var identity = ee.Array.identity(n);
+  var differences = identity
+    .slice(0, 0, n.subtract(2))
+    .subtract(identity.slice(0, 1, n.subtract(1)).multiply(2))
+    .add(identity.slice(0, 2, n));
+  var penalty = differences
+    .transpose()
+    .matrixMultiply(differences)
+    .multiply(lambda);
+
+  var gridArray = grid
+    .map(function (img) {
+      return img
+        .select(bandNames)
+        .unmask(0)
+        .addBands(img.select(["nObservations"]).gt(0).rename(["weight"]))
+        .float();
+    })
+    .toArray();
+  var y = gridArray.arraySlice(1, 0, bandNames.length);
+  var w = gridArray.arraySlice(1, bandNames.length, bandNames.length + 1);
+  var a = ee
+    .Image(identity)
+    .multiply(w.arrayRepeat(1, n))
+    .add(ee.Image(penalty));
+  var z = a.matrixSolve(w.arrayRepeat(1, bandNames.length).multiply(y));
+
+  var gridList = grid.toList(n);
+  var smoothed = ee.List.sequence(0, n.subtract(1)).map(function (i) {
+    i = ee.Number(i);
+    var img = ee.Image(gridList.get(i));
+    return z
+      .arraySlice(0, i, i.add(1))
+      .arrayProject([1])
+      .arrayFlatten([bandNames])
+      .float()
+      .addBands(img.select(["nObservations"]))
+      .copyProperties(img, [
+        "system:time_start",
+        "system:time_end",
+        "observationTimes",
+      ]);
+  });
+  return ee.ImageCollection.fromImages(smoothed);
+}
+
+//Function to smooth a regular time grid with a Savitzky-Golay filter
+//A local polynomial of sgPolyOrder is fit to all non-empty bins within sgWindowDays centered on each bin
+//Bins without at least sgPolyOrder + 1 non-empty bins in their window are masked
+function savitzkyGolaySmooth(grid, bandNames, sgWindowDays, sgPolyOrder) {
+  var halfWindow = sgWindowDays / 2;
+  var nCoeffs = sgPolyOrder + 1;
+  return grid.map(function (img) {
+    var center = ee.Date(img.get("system:time_start"));
+    var windowGrid = grid.filter(
+      ee.Filter.rangeContains(
+        "system:time_start",
+        center.advance(-halfWindow, "day").millis(),
+        center.advance(halfWindow, "day").millis()
+      )
+    );
+    var fitted = windowGrid
+      .map(function (windowImg) {
+        //Scale time offsets to the half window to keep the regression well conditioned
+        var dt = ee
+          .Number(windowImg.get("system:time_start"))
+          .subtract(center.millis())
+          .divide(86400000 * halfWindow);
+        var predictors = ee.Image(1);
+        for (var p = 1; p < nCoeffs; p++) {
+          predictors = predictors.addBands(ee.Image.constant(dt.pow(p)));
+        }
+        return predictors
+          .addBands(windowImg.select(bandNames))
+          .updateMask(windowImg.select(["nObservations"]).gt(0))
+          .float();
+      })
+      .reduce(ee.Reducer.linearRegression(nCoeffs, bandNames.length))
+      .select(["coefficients"])
+      .arraySlice(0, 0, 1)
+      .arrayProject([1])
+      .arrayFlatten([bandNames]);
+    var nValid = windowGrid
+      .select(["nObservations"])
+      .map(function (windowImg) {
+        return windowImg.gt(0);
+      })
+      .sum();
+    return fitted
+      .updateMask(nValid.gte(nCoeffs))
+      .float()
+      .addBands(img.select(["nObservations"]))
+      .copyProperties(img, [
+        "system:time_start",
+        "system:time_end",
+        "observationTimes",
+      ]);
+  });
+}
+
+//Function to pull a regular time grid up toward the upper envelope of its smoothed fit
+//Observations below the fit (often residual cloud, shadow, or haze) are replaced with the fitted value
+//so the next smoothing pass gives them no pull below the fit
+function applyUpperEnvelope(grid, smoothed, bandNames) {
+  var n = grid.size();
+  var gridList = grid.toList(n);
+  var smoothedList = smoothed.toList(n);
+  var out = ee.List.sequence(0, n.subtract(1)).map(function (i) {
+    var img = ee.Image(gridList.get(i));
+    var observed = img.select(bandNames);
+    var fitted = ee.Image(smoothedList.get(i)).select(bandNames);
+    return observed
+      .max(fitted.unmask(observed))
+      .addBands(img.select(["nObservations"]))
+      .copyProperties(img, [
+        "system:time_start",
+        "system:time_end",
+        "observationTimes",
+      ]);
+  });
+  return ee.ImageCollection.fromImages(out);
+}
+
+//Function to sample a smoothed regular time grid at the original observation timestamps
+//Each scene is replaced by the smoothed bin it falls within, keeping the scene's system:time_start
+function getSmoothedAtObservations(smoothed, scenes, bandNames) {
+  var first = ee.Image(smoothed.first());
+  scenes = scenes.filterDate(
+    ee.Date(first.get("system:time_start")),
+    ee.Date(smoothed.aggregate_max("system:time_end"))
+  );
+  return scenes.map(function (img) {
+    var t = ee.Number(img.get("system:time_start"));
+    var bin = ee.Image(
+      smoothed
+        .filter(ee.Filter.lte("system:time_start", t))
+        .filter(ee.Filter.gt("system:time_end", t))
+        .first()
+    );
+    return bin
+      .select(bandNames)
+      .copyProperties(img, ["system:time_start"])
+      .set("gridTime", bin.get("system:time_start"));
+  });
+}
+
+//Wrapper function to smooth a dense scene time series
+//Returns a regular stepDays collection of smoothed bandNames with an nObservations band and
+//observationTimes property, along with the smoothed values at each original observation time
+function smoothTimeSeries() {
+  var defaultArgs = {
+    scenes: null,
+    bandNames: ["NDVI"],
+    startDate: null,
+    endDate: null,
+    stepDays: 1,
+    smoothingMethod: "whittaker",
+    lambda: 1000,
+    sgWindowDays: 30,
+    sgPolyOrder: 2,
+    upperEnvelope: false,
+    envelopeIterations: 2,
+  };
+
+  var args = prepArgumentsObject(arguments, defaultArgs);
+
+  if (smoothingMethods.indexOf(args.smoothingMethod) === -1) {
+    throw new Error(
+      "smoothTimeSeries: unknown smoothingMethod " +
+        args.smoothingMethod +
+        ". Options are: " +
+        smoothingMethods.join(", ")
+    );
+  }
+
+  function smooth(grid) {
+    if (args.smoothingMethod === "whittaker") {
+      return whittakerSmooth(grid, args.bandNames, args.lambda);
+    }
+    return savitzkyGolaySmooth(
+      grid,
+      args.bandNames,
+      args.sgWindowDays,
+      args.sgPolyOrder
+    );
+  }
+
+  var grid = getRegularTimeGrid(
+    args.scenes,
+    args.bandNames,
+    args.startDate,
+    args.endDate,
+    args.stepDays
+  );
+  var smoothed = smooth(grid);
+  if (args.upperEnvelope) {
+    for (var i = 0; i < args.envelopeIterations; i++) {
+      grid = applyUpperEnvelope(grid, smoothed, args.bandNames);
+      smoothed = smooth(grid);
+    }
+  }
+
+  args.regularGrid = grid;
+  args.smoothedCollection = smoothed;
+  args.smoothedAtObservations = getSmoothedAtObservations(
+    smoothed,
+    args.scenes,
+    args.bandNames
+  );
+  return args;
+}
+
 ///////////////////////////////////////////////////////////
 //Function to get MODIS data from various collections
 //Will pull from daily or 8-day composite collections based on the boolean variable "daily"
@@ -3441,6 +6940,7 @@ function getModisData(args) {
     useTempInCloudMask: true,
     addLookAngleBands: false,
     resampleMethod: "bicubic",
+    wqaMaskFlags: ["internalCloud"],
   };
 
   var args = prepArgumentsObject(arguments, defaultArgs);
@@ -3524,7 +7024,7 @@ function getModisData(args) {
             .and(img.select(["SolarZenith"]).lt(args.zenithThresh * 100))
         );
         if (args.maskWQA === true) {
-          img = maskCloudsWQA(img);
+          img = maskCloudsWQA(img, args.wqaMaskFlags);
         }
         return img;
       });
@@ -3584,11 +7084,12 @@ function getModisData(args) {
   //   tStdNames = woTempStdNames;
   // }
 
+  //sensor and toaOrSR are used to choose the Tasseled Cap coefficients (see tcSensorCoeffKeyDict)
   a = a.map(function (img) {
-    return img.set({ platform: "aqua" });
+    return img.set({ platform: "aqua", sensor: "MODIS", toaOrSR: "SR" });
   });
   t = t.map(function (img) {
-    return img.set({ platform: "terra" });
+    return img.set({ platform: "terra", sensor: "MODIS", toaOrSR: "SR" });
   });
 
   //Join Terra and Aqua
@@ -3673,6 +7174,7 @@ function getProcessedModis(args) {
     crs: "EPSG:4326",
     scale: 250,
     transform: null,
+    addMaskReason: false,
   };
 
   var args = prepArgumentsObject(arguments, defaultArgs);
@@ -3684,6 +7186,8 @@ function getProcessedModis(args) {
 
   // Get joined modis collection
   var modisImages = getModisData(args);
+  modisImages = initMaskReason(modisImages, args);
+  var preMask;
 
   if (args.addToMap) {
     Map.addLayer(
@@ -3695,6 +7199,7 @@ function getProcessedModis(args) {
 
   if (args.applyCloudScore) {
     print("Applying cloudScore");
+    preMask = modisImages;
     modisImages = applyCloudScoreAlgorithm(
       modisImages,
       modisCloudScore,
@@ -3705,6 +7210,7 @@ function getProcessedModis(args) {
       args.performCloudScoreOffset,
       args.preComputedCloudScoreOffset
     );
+    modisImages = updateMaskReason(preMask, modisImages, "cloudScore", args);
 
     if (args.addToMap) {
       Map.addLayer(
@@ -3724,6 +7230,7 @@ function getProcessedModis(args) {
   if (args.applyTDOM) {
     print("Applying TDOM");
     // Find and mask out dark outliers
+    preMask = modisImages;
     modisImages = simpleTDOM2(
       modisImages,
       args.zScoreThresh,
@@ -3734,6 +7241,7 @@ function getProcessedModis(args) {
       args.preComputedTDOMIRMean,
       args.preComputedTDOMIRStdDev
     );
+    modisImages = updateMaskReason(preMask, modisImages, "tdom", args);
 
     if (args.addToMap) {
       Map.addLayer(
@@ -3822,6 +7330,12 @@ function nDayComposites(
 //////////////////////////////////////////////////////////////////
 ////////////////////////////////////////////////////
 //////////////////////////////////////////////////////////////////
+//Function to export an annual collection without any scaling
+//exportArgs is an optional object with any of the exportImage destination arguments
+//(exportDestination, exportFolder, exportBucket, cloudOptimized, outputNoData, exportTileSize)
+//along with an exportNameTemplate, exportManifest, and encodingSchema
+//Images are only encoded if an encodingSchema is provided (see encodeImage)
+//A reproducibility manifest of exportArgs is attached to each exported image
 function exportCollection(
   exportPathRoot,
   outputName,
@@ -3836,8 +7350,18 @@ function exportCollection(
   endJulian,
   compositingReducer,
   timebuffer,
-  exportBands
+  exportBands,
+  exportArgs
 ) {
+  if (exportArgs === undefined || exportArgs === null) {
+    exportArgs = {};
+  }
+  var exportNameTemplate = exportArgs.exportNameTemplate;
+  if (exportNameTemplate === undefined || exportNameTemplate === null) {
+    exportNameTemplate =
+      "{outputName}_{startYear}_{endYear}_{startJulian}_{endJulian}";
+  }
+
   //Take care of date wrapping
   var dateWrapping = wrapDates(startJulian, endJulian);
   var wrapOffset = dateWrapping[0];
@@ -3850,6 +7374,9 @@ function exportCollection(
   //Select bands for export
   collection = collection.select(exportBands);
 
+  //Record the parameters used for the reproducibility manifest
+  var manifest = getExportManifest(exportArgs);
+
   //Iterate across each year and export image
   range(startYear + timebuffer, endYear - timebuffer + 1).map(function (year) {
     print("Exporting:", year);
@@ -3879,39 +7406,100 @@ function exportCollection(
       ).millis(),
       yearBuffer: timebuffer,
     });
+    var manifestProperties = getManifestProperties(
+      manifest,
+      getCompositeDateWindow(year, startJulian, endJulian, timebuffer)
+    );
+    composite = composite.set(manifestProperties);
+    var outputNoData = exportArgs.outputNoData;
+    if (
+      exportArgs.encodingSchema !== undefined &&
+      exportArgs.encodingSchema !== null
+    ) {
+      composite = encodeImage(composite, exportArgs.encodingSchema);
+      outputNoData = normalizeEncodingSchema(exportArgs.encodingSchema)[
+        ".default"
+      ].noData;
+    }
 
     // Export the composite
     // Set up export name and path
-    var exportName =
-      outputName +
-      "_" +
-      startYearT +
-      "_" +
-      endYearT +
-      "_" +
-      startJulian +
-      "_" +
-      endJulian;
+    var exportName = fillExportNameTemplate(exportNameTemplate, {
+      outputName: outputName,
+      startYear: startYearT,
+      endYear: endYearT,
+      year: year + yearWithMajority,
+      startJulian: startJulian,
+      endJulian: endJulian,
+    });
 
     var exportPath = exportPathRoot + "/" + exportName;
     // print('Write down the Asset ID:', exportPath);
 
-    exportToAssetWrapper(
-      composite,
-      exportName,
-      exportPath,
-      "mean",
-      studyArea,
-      null,
-      crs,
-      transform
-    );
+    exportImage({
+      image: composite,
+      exportName: exportName,
+      exportPath: exportPath,
+      studyArea: studyArea,
+      scale: null,
+      crs: crs,
+      transform: transform,
+      pyramidingPolicy: "mean",
+      exportDestination: exportArgs.exportDestination,
+      exportFolder: exportArgs.exportFolder,
+      exportBucket: exportArgs.exportBucket,
+      cloudOptimized: exportArgs.cloudOptimized,
+      outputNoData: outputNoData,
+      exportTileSize: exportArgs.exportTileSize,
+    });
+    if (exportArgs.exportManifest) {
+      exportManifestTable(
+        manifestProperties,
+        exportName,
+        exportPathRoot,
+        exportArgs.exportDestination,
+        exportArgs.exportFolder,
+        exportArgs.exportBucket
+      );
+    }
   });
 }
 /////////////////////////////////////////////////////////////
 // Function to export composite collection
 //See below for necessary arguments
-//All parameters must be provided
+//All parameters must be provided other than the export destination arguments
+//If exportArea is provided, composites are clipped to it instead of the studyArea
+//exportDestination can be "asset" (default), "drive", or "cloudStorage" (see exportImage)
+//exportNameTemplate fields are outputName, toaOrSR, compositingMethod, startYear, endYear,
+//year, startJulian, and endJulian
+var exportCompositeCollectionArgSchema = {
+  exportPathRoot: { type: "string" },
+  outputName: { type: "string", required: true },
+  studyArea: { type: "ee", required: true },
+  crs: { type: "string" },
+  transform: { type: "array" },
+  scale: { type: "number" },
+  collection: { type: "ee", required: true },
+  startYear: { type: "number", required: true },
+  endYear: { type: "number", required: true },
+  startJulian: { type: "number", required: true },
+  endJulian: { type: "number", required: true },
+  compositingMethod: { type: "string" },
+  timebuffer: { type: "number", required: true },
+  exportBands: { type: ["array", "ee"] },
+  toaOrSR: { type: "string" },
+  nonDivideBands: { type: ["array", "ee"] },
+  scaleFactor: { type: "number" },
+  exportDestination: { type: "string", values: exportDestinations },
+  exportFolder: { type: "string" },
+  exportBucket: { type: "string" },
+  cloudOptimized: { type: "boolean" },
+  exportNameTemplate: { type: "string" },
+  exportTileSize: { type: "number" },
+  exportManifest: { type: "boolean" },
+  encodingSchema: { type: "object" },
+  exportArea: { type: "ee" },
+};
 function exportCompositeCollection() {
   var defaultArgs = {
     exportPathRoot: null,
@@ -3941,12 +7529,66 @@ function exportCompositeCollection() {
     resampleMethod: "near",
     origin: "Landsat",
     applyCloudProbability: null,
+    scaleFactor: 10000,
+    exportDestination: "asset",
+    exportFolder: null,
+    exportBucket: null,
+    cloudOptimized: false,
+    exportNameTemplate:
+      "{outputName}_{toaOrSR}_{compositingMethod}_{startYear}_{endYear}_{startJulian}_{endJulian}",
+    exportTileSize: null,
+    exportManifest: false,
+    encodingSchema: null,
+    exportArea: null,
   };
 
-  var args = prepArgumentsObject(arguments, defaultArgs);
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    exportCompositeCollectionArgSchema,
+    "exportCompositeCollection"
+  );
 
   args.pyramidingPolicy = "mean";
 
+  //Metadata bands (including mask reason counts) are exported without scaling
+  var nonDivideBandNames = compositeNonDivideBandNames;
+  if (args.addMaskReason === true) {
+    nonDivideBandNames = nonDivideBandNames.concat(
+      getMaskReasonCountBandNames(args.maskReasons)
+    );
+  }
+
+  //Export all bands if exportBands are not specified
+  if (args.exportBands === null || args.exportBands === undefined) {
+    args.exportBands = ee.Image(args.collection.first()).bandNames();
+    args.nonDivideBands = args.exportBands.filter(
+      ee.Filter.inList("item", nonDivideBandNames)
+    );
+  } else if (args.addMaskReason === true) {
+    //Export the mask reason counts without scaling
+    var maskReasonCountBandNames = getMaskReasonCountBandNames(
+      args.maskReasons
+    );
+    args.exportBands = args.exportBands.concat(maskReasonCountBandNames);
+    args.nonDivideBands = args.nonDivideBands.concat(maskReasonCountBandNames);
+  }
+
+  //Build the encoding schema from the scaleFactor and nonDivideBands if one is not provided
+  if (args.encodingSchema === null) {
+    var encodingNonDivideBands = args.nonDivideBands;
+    if (args.nonDivideBands === null) {
+      encodingNonDivideBands = [];
+    } else if (!Array.isArray(args.nonDivideBands)) {
+      //Band name patterns must be client-side, so use the list the nonDivideBands were filtered with
+      encodingNonDivideBands = nonDivideBandNames;
+    }
+    args.encodingSchema = getScaledEncodingSchema(
+      args.scaleFactor,
+      encodingNonDivideBands
+    );
+  }
+
   args.collection = args.collection.select(args.exportBands);
   print("Export bands:", args.exportBands);
   print("Non divide bands:", args.nonDivideBands);
@@ -3959,6 +7601,10 @@ function exportCompositeCollection() {
   args.outputName = args.outputName.replace(/\s+/g, "-");
   args.outputName = args.outputName.replace(/\//g, "-");
 
+  //Record the parameters used for the reproducibility manifest
+  var manifest = getExportManifest(args);
+  print("Export manifest:", manifest);
+
   var years = range(
     args.startYear + args.timebuffer,
     args.endYear - args.timebuffer + 1
@@ -3977,20 +7623,6 @@ function exportCompositeCollection() {
     );
     composite = ee.Image(composite.first());
 
-    // Reformat data for export
-    var compositeBands = composite.bandNames();
-    if (args.nonDivideBands !== null) {
-      var composite10k = composite
-        .select(compositeBands.removeAll(args.nonDivideBands))
-        .multiply(10000);
-      composite = composite10k
-        .addBands(composite.select(args.nonDivideBands))
-        .select(compositeBands)
-        .int16();
-    } else {
-      composite = composite.multiply(10000).int16();
-    }
-
     args.startYearComposite = startYearT;
     args.endYearComposite = endYearT;
     args.systemTimeStartYear = year + args.yearWithMajority;
@@ -4004,51 +7636,80 @@ function exportCompositeCollection() {
 
     // Export the composite
     // Set up export name and path
-    args.exportName =
-      args.outputName +
-      "_" +
-      args.toaOrSR +
-      "_" +
-      args.compositingMethod +
-      "_" +
-      startYearT +
-      "_" +
-      endYearT +
-      "_" +
-      args.startJulian +
-      "_" +
-      args.endJulian;
+    args.exportName = fillExportNameTemplate(args.exportNameTemplate, {
+      outputName: args.outputName,
+      toaOrSR: args.toaOrSR,
+      compositingMethod: args.compositingMethod,
+      startYear: startYearT,
+      endYear: endYearT,
+      year: args.yearUsed,
+      startJulian: args.startJulian,
+      endJulian: args.endJulian,
+    });
 
     args.exportPath = args.exportPathRoot + "/" + args.exportName;
 
-    // Add metadata, cast to integer, and export composite
-    composite = composite.set(args);
-
-    // Display the Landsat composite
-    Map.addLayer(
-      composite,
-      vizParamsTrue10k,
-      args.yearUsed.toString() + " True Color " + args.toaOrSR,
-      false
-    );
-    Map.addLayer(
-      composite,
-      vizParamsFalse10k,
-      args.yearUsed.toString() + " False Color " + args.toaOrSR,
-      false
+    // Add metadata and the manifest, encode, and export composite
+    var manifestProperties = getManifestProperties(
+      manifest,
+      getCompositeDateWindow(
+        year,
+        args.startJulian,
+        args.endJulian,
+        args.timebuffer
+      )
     );
+    composite = composite
+      .set(getFlatArgsProperties(args))
+      .set(manifestProperties);
+
+    // Reformat data for export using the encoding schema
+    composite = encodeImage(composite, args.encodingSchema);
+
+    // Display the optical composite
+    if (args.origin !== "Sentinel1" && args.origin !== "Phenology") {
+      Map.addLayer(
+        composite,
+        vizParamsTrue10k,
+        args.yearUsed.toString() + " True Color " + args.toaOrSR,
+        false
+      );
+      Map.addLayer(
+        composite,
+        vizParamsFalse10k,
+        args.yearUsed.toString() + " False Color " + args.toaOrSR,
+        false
+      );
+    }
 
     print("Exporting:", composite);
-    exportToAssetWrapper(
-      composite,
-      args.exportName,
-      args.exportPath,
-      args.pyramidingPolicy,
-      args.studyArea,
-      args.scale,
-      args.crs,
-      args.transform
-    );
+    exportImage({
+      image: composite,
+      exportName: args.exportName,
+      exportPath: args.exportPath,
+      studyArea: args.exportArea || args.studyArea,
+      scale: args.scale,
+      crs: args.crs,
+      transform: args.transform,
+      pyramidingPolicy: args.pyramidingPolicy,
+      exportDestination: args.exportDestination,
+      exportFolder: args.exportFolder,
+      exportBucket: args.exportBucket,
+      cloudOptimized: args.cloudOptimized,
+      outputNoData: normalizeEncodingSchema(args.encodingSchema)[".default"]
+        .noData,
+      exportTileSize: args.exportTileSize,
+    });
+    if (args.exportManifest) {
+      exportManifestTable(
+        manifestProperties,
+        args.exportName,
+        args.exportPathRoot,
+        args.exportDestination,
+        args.exportFolder,
+        args.exportBucket
+      );
+    }
   });
 }
 /////////////////////////////////////////////////////////////////////
@@ -4095,9 +7756,31 @@ function getLandsatWrapper() {
     preComputedTDOMIRMean: null,
     preComputedTDOMIRStdDev: null,
     landsatCollectionVersion: "C2",
+    fmaskCloudFlags: ["cloud"],
+    fmaskCloudShadowFlags: ["shadow"],
+    fmaskSnowFlags: ["snow"],
+    addMaskReason: false,
+    bapParams: null,
+    compositePercentiles: [25, 75],
+    compositePercentileBands: ["nir", "swir1", "swir2"],
+    geometricMedianIterations: 10,
+    exportDestination: "asset",
+    exportFolder: null,
+    exportBucket: null,
+    cloudOptimized: false,
+    exportNameTemplate: null,
+    exportTileSize: null,
+    exportManifest: false,
+    encodingSchema: null,
+    exportArea: null,
   };
 
-  var args = prepArgumentsObject(arguments, defaultArgs);
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    compositeWrapperArgSchema,
+    "getLandsatWrapper"
+  );
   args.toaOrSR = args.toaOrSR.toUpperCase();
   args.origin = "Landsat";
 
@@ -4150,40 +7833,18 @@ function getLandsatWrapper() {
   //Export composites
   if (args.exportComposites) {
     // Export composite collection
-    if (args.compositingMethod == "medoid") {
-      args.exportBands = [
-        "blue",
-        "green",
-        "red",
-        "nir",
-        "swir1",
-        "swir2",
-        "temp",
-        "compositeObsCount",
-        "sensor",
-        "year",
-        "julianDay",
-      ];
-      args.nonDivideBands = [
-        "temp",
-        "compositeObsCount",
-        "sensor",
-        "year",
-        "julianDay",
-      ];
-    } else {
-      args.exportBands = [
-        "blue",
-        "green",
-        "red",
-        "nir",
-        "swir1",
-        "swir2",
-        "temp",
-        "compositeObsCount",
-      ];
-      args.nonDivideBands = ["temp", "compositeObsCount"];
-    }
+    //Add the bands specific to the compositing method
+    args.exportBands = [
+      "blue",
+      "green",
+      "red",
+      "nir",
+      "swir1",
+      "swir2",
+      "temp",
+      "compositeObsCount",
+    ].concat(getCompositeMethodBandNames(args));
+    args.nonDivideBands = getCompositeNonDivideBandNames(args.exportBands);
     print("Args:", args);
     exportCompositeCollection(args);
   }
@@ -4192,6 +7853,36 @@ function getLandsatWrapper() {
   args.processedComposites = ts;
   return args;
 }
+//////////////////////////////////////////////////////////////////
+//Argument schemas used to validate the scene and composite wrappers (see validateArguments)
+var sceneArgSchema = {
+  studyArea: { type: "ee", required: true },
+  startYear: { type: "number", required: true },
+  endYear: { type: "number", required: true },
+  startJulian: { type: "number", required: true },
+  endJulian: { type: "number", required: true },
+  toaOrSR: { type: "string", values: ["TOA", "SR"], ignoreCase: true },
+};
+var compositeWrapperArgSchema = copyObj(sceneArgSchema);
+compositeWrapperArgSchema.timebuffer = { type: "number" };
+compositeWrapperArgSchema.weights = { type: "array" };
+compositeWrapperArgSchema.compositingMethod = {
+  type: "string",
+  values: ["medoid", "median", "bap", "geometricMedian", "percentile"],
+  ignoreCase: true,
+};
+compositeWrapperArgSchema.exportComposites = { type: "boolean" };
+compositeWrapperArgSchema.outputName = { type: "string" };
+compositeWrapperArgSchema.exportPathRoot = { type: "string" };
+compositeWrapperArgSchema.crs = { type: "string" };
+compositeWrapperArgSchema.transform = { type: "array" };
+compositeWrapperArgSchema.scale = { type: "number" };
+compositeWrapperArgSchema.exportDestination = {
+  type: "string",
+  values: exportDestinations,
+};
+compositeWrapperArgSchema.encodingSchema = { type: "object" };
+compositeWrapperArgSchema.exportArea = { type: "ee" };
 
 //Wrapper function for getting Landsat imagery
 function getProcessedLandsatScenes() {
@@ -4222,9 +7913,18 @@ function getProcessedLandsatScenes() {
     preComputedTDOMIRMean: null,
     preComputedTDOMIRStdDev: null,
     landsatCollectionVersion: "C2",
+    fmaskCloudFlags: ["cloud"],
+    fmaskCloudShadowFlags: ["shadow"],
+    fmaskSnowFlags: ["snow"],
+    addMaskReason: false,
   };
 
-  var args = prepArgumentsObject(arguments, defaultArgs);
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    sceneArgSchema,
+    "getProcessedLandsatScenes"
+  );
   args.toaOrSR = args.toaOrSR.toUpperCase();
   args.origin = "Landsat";
 
@@ -4264,6 +7964,8 @@ function getProcessedLandsatScenes() {
 
   // Get Landsat image collection
   var ls = getLandsat(args);
+  ls = initMaskReason(ls, args);
+  var preMask;
 
   // //Apply Roy 2016 harmonization if specified
   // if(harmonizeOLI){
@@ -4278,6 +7980,7 @@ function getProcessedLandsatScenes() {
   // Apply relevant cloud masking methods
   if (args.applyCloudScore) {
     print("Applying cloudScore");
+    preMask = ls;
     ls = applyCloudScoreAlgorithm(
       ls,
       landsatCloudScore,
@@ -4288,51 +7991,57 @@ function getProcessedLandsatScenes() {
       args.performCloudScoreOffset,
       args.preComputedCloudScoreOffset
     );
+    ls = updateMaskReason(preMask, ls, "cloudScore", args);
   }
 
   if (args.applyFmaskCloudMask) {
     print("Applying Fmask cloud mask");
+    preMask = ls;
     ls = ls.map(function (img) {
-      return applyBitMask(
+      return applyQAMask(
         img,
-        fmaskBitDict[args.landsatCollectionVersion]["cloud"],
-        landsatFmaskBandNameDict[args.landsatCollectionVersion]
+        landsatQASpecDict[args.landsatCollectionVersion],
+        args.fmaskCloudFlags
       );
     });
+    ls = updateMaskReason(preMask, ls, "fmaskCloud", args);
   }
 
   if (args.applyTDOM) {
     print("Applying TDOM");
     //Find and mask out dark outliers
     args.collection = ls;
+    preMask = ls;
     ls = simpleTDOM2(args);
+    ls = updateMaskReason(preMask, ls, "tdom", args);
   }
   if (args.applyFmaskCloudShadowMask) {
     print("Applying Fmask shadow mask");
+    preMask = ls;
     ls = ls.map(function (img) {
-      return applyBitMask(
+      return applyQAMask(
         img,
-        fmaskBitDict[args.landsatCollectionVersion]["shadow"],
-        landsatFmaskBandNameDict[args.landsatCollectionVersion]
+        landsatQASpecDict[args.landsatCollectionVersion],
+        args.fmaskCloudShadowFlags
       );
     });
+    ls = updateMaskReason(preMask, ls, "fmaskCloudShadow", args);
   }
   if (args.applyFmaskSnowMask) {
     print("Applying Fmask snow mask");
+    preMask = ls;
     ls = ls.map(function (img) {
-      return applyBitMask(
+      return applyQAMask(
         img,
-        fmaskBitDict[args.landsatCollectionVersion]["snow"],
-        landsatFmaskBandNameDict[args.landsatCollectionVersion]
+        landsatQASpecDict[args.landsatCollectionVersion],
+        args.fmaskSnowFlags
       );
     });
+    ls = updateMaskReason(preMask, ls, "fmaskSnow", args);
   }
 
-  // Add common indices- can use addIndices for comprehensive indices
-  //or simpleAddIndices for only common indices
-  ls = ls.map(simpleAddIndices).map(getTasseledCap).map(simpleAddTCAngles);
-
   //Add sensor band
+  //This needs to happen before the Tasseled Cap since the coefficients are chosen using the sensor
   ls = ls.map(function (img) {
     return addSensorBand(
       img,
@@ -4341,6 +8050,10 @@ function getProcessedLandsatScenes() {
     );
   });
 
+  // Add common indices- can use addIndices for comprehensive indices
+  //or simpleAddIndices for only common indices
+  ls = ls.map(simpleAddIndices).map(getTasseledCap).map(simpleAddTCAngles);
+
   return ls.set(args);
 }
 ///////////////////////////////////////////////////////////////////
@@ -4375,9 +8088,23 @@ function getProcessedSentinel2Scenes() {
     applyCloudScorePlus: true,
     cloudScorePlusThresh: 0.6,
     cloudScorePlusScore: "cs",
+    applySCLMask: false,
+    sclMaskClasses: [
+      "saturatedDefective",
+      "cloudShadow",
+      "cloudMedium",
+      "cloudHigh",
+      "thinCirrus",
+    ],
+    addMaskReason: false,
   };
 
-  var args = prepArgumentsObject(arguments, defaultArgs);
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    sceneArgSchema,
+    "getProcessedSentinel2Scenes"
+  );
   args.toaOrSR = args.toaOrSR.toUpperCase();
   args.origin = "Sentinel2";
   args.addCloudProbability = args.applyCloudProbability; //LSC
@@ -4402,15 +8129,32 @@ function getProcessedSentinel2Scenes() {
 
   // Get Sentinel2 image collection
   var s2s = getS2(args);
+  s2s = initMaskReason(s2s, args);
+  var preMask;
   // Map.addLayer(s2s.median().reproject('EPSG:32612',null,30),{min:0.05,max:0.4,bands:'swir1,nir,red'});
 
   if (args.applyQABand) {
     print("Applying QA band cloud mask");
+    preMask = s2s;
     s2s = s2s.map(maskS2clouds);
+    s2s = updateMaskReason(preMask, s2s, "qaBand", args);
     // Map.addLayer(s2s.mosaic(),{min:0.05,max:0.4,bands:'swir1,nir,red'},'QA cloud masked');
   }
+  if (args.applySCLMask) {
+    if (args.toaOrSR === "SR") {
+      print("Applying SCL mask:", args.sclMaskClasses);
+      preMask = s2s;
+      s2s = s2s.map(function (img) {
+        return applyQAMask(img, "S2_SCL", args.sclMaskClasses);
+      });
+      s2s = updateMaskReason(preMask, s2s, "sclMask", args);
+    } else {
+      print("SCL band is only available for SR. Not applying SCL mask");
+    }
+  }
   if (args.applyCloudScore) {
     print("Applying cloudScore");
+    preMask = s2s;
     s2s = applyCloudScoreAlgorithm(
       s2s,
       sentinel2CloudScore,
@@ -4421,27 +8165,33 @@ function getProcessedSentinel2Scenes() {
       args.performCloudScoreOffset,
       args.preComputedCloudScoreOffset
     );
+    s2s = updateMaskReason(preMask, s2s, "cloudScore", args);
     // Map.addLayer(s2s.mosaic(),{min:0.05,max:0.4,bands:'swir1,nir,red'},'Cloud score cloud masked');
   }
   if (args.applyCloudProbability) {
     print("Applying cloud probability");
+    preMask = s2s;
     s2s = s2s.map(function (img) {
       return img.updateMask(
         img.select(["cloud_probability"]).lte(args.cloudProbThresh)
       );
     });
+    s2s = updateMaskReason(preMask, s2s, "cloudProbability", args);
   }
 
   if (args.applyCloudScorePlus) {
     print("Applying cloudScore+");
+    preMask = s2s;
     s2s = s2s.map(function (img) {
       return img.updateMask(
         img.select(["cloudScorePlus"]).gte(args.cloudScorePlusThresh)
       );
     });
+    s2s = updateMaskReason(preMask, s2s, "cloudScorePlus", args);
   }
   if (args.applyShadowShift) {
     print("Applying shadow shift");
+    preMask = s2s;
     s2s = s2s.map(function (img) {
       return projectShadowsWrapper(
         img,
@@ -4452,24 +8202,32 @@ function getProcessedSentinel2Scenes() {
         cloudHeights
       );
     });
+    s2s = updateMaskReason(preMask, s2s, "shadowShift", args);
     // Map.addLayer(s2s.mosaic(),{min:0.05,max:0.4,bands:'swir1,nir,red'},'shadow shift shadow masked');
   }
   if (args.applyTDOM) {
     print("Applying TDOM");
     args.collection = s2s;
+    preMask = s2s;
     s2s = simpleTDOM2(args);
+    s2s = updateMaskReason(preMask, s2s, "tdom", args);
     // Map.addLayer(s2s.mosaic(),{min:0.05,max:0.4,bands:'swir1,nir,red'},'TDOM shadow masked');
   }
 
-  // Add common indices- can use addIndices for comprehensive indices
-  //or simpleAddIndices for only common indices
-  s2s = s2s.map(simpleAddIndices).map(getTasseledCap).map(simpleAddTCAngles);
-
   //Add sensor band
+  //This needs to happen before the Tasseled Cap since the coefficients are chosen using the sensor
   s2s = s2s.map(function (img) {
     return addSensorBand(img, "sentinel2", args.toaOrSR);
   });
 
+  // Add common indices- can use addIndices for comprehensive indices
+  //or simpleAddIndices for only common indices
+  s2s = s2s
+    .map(simpleAddIndices)
+    .map(addS2RedEdgeIndices)
+    .map(getTasseledCap)
+    .map(simpleAddTCAngles);
+
   return s2s.set(args);
 }
 /////////////////////////////////////////////////////////////////////
@@ -4580,9 +8338,27 @@ function getSentinel2Wrapper() {
     cloudProbThresh: 40,
     applyCloudScorePlus: true,
     cloudScorePlusThresh: 0.6,
+    bapParams: null,
+    compositePercentiles: [25, 75],
+    compositePercentileBands: ["nir", "swir1", "swir2"],
+    geometricMedianIterations: 10,
+    exportDestination: "asset",
+    exportFolder: null,
+    exportBucket: null,
+    cloudOptimized: false,
+    exportNameTemplate: null,
+    exportTileSize: null,
+    exportManifest: false,
+    encodingSchema: null,
+    exportArea: null,
   };
 
-  var args = prepArgumentsObject(arguments, defaultArgs);
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    compositeWrapperArgSchema,
+    "getSentinel2Wrapper"
+  );
   args.toaOrSR = args.toaOrSR.toUpperCase();
   args.origin = "Sentinel2";
 
@@ -4620,40 +8396,7 @@ function getSentinel2Wrapper() {
     // Export composite collection
 
     var exportBandDict = {
-      SR_medoid: [
-        "cb",
-        "blue",
-        "green",
-        "red",
-        "re1",
-        "re2",
-        "re3",
-        "nir",
-        "nir2",
-        "waterVapor",
-        "swir1",
-        "swir2",
-        "compositeObsCount",
-        "sensor",
-        "year",
-        "julianDay",
-      ],
-      SR_median: [
-        "cb",
-        "blue",
-        "green",
-        "red",
-        "re1",
-        "re2",
-        "re3",
-        "nir",
-        "nir2",
-        "waterVapor",
-        "swir1",
-        "swir2",
-        "compositeObsCount",
-      ],
-      TOA_medoid: [
+      SR: [
         "cb",
         "blue",
         "green",
@@ -4664,15 +8407,11 @@ function getSentinel2Wrapper() {
         "nir",
         "nir2",
         "waterVapor",
-        "cirrus",
         "swir1",
         "swir2",
         "compositeObsCount",
-        "sensor",
-        "year",
-        "julianDay",
       ],
-      TOA_median: [
+      TOA: [
         "cb",
         "blue",
         "green",
@@ -4689,13 +8428,11 @@ function getSentinel2Wrapper() {
         "compositeObsCount",
       ],
     };
-    var nonDivideBandDict = {
-      medoid: ["compositeObsCount", "sensor", "year", "julianDay"],
-      median: ["compositeObsCount"],
-    };
-    args.exportBands =
-      exportBandDict[args.toaOrSR + "_" + args.compositingMethod];
-    args.nonDivideBands = nonDivideBandDict[args.compositingMethod];
+    //Add the bands specific to the compositing method
+    args.exportBands = exportBandDict[args.toaOrSR].concat(
+      getCompositeMethodBandNames(args)
+    );
+    args.nonDivideBands = getCompositeNonDivideBandNames(args.exportBands);
     exportCompositeCollection(args);
   }
   args.processedScenes = s2s;
@@ -4753,7 +8490,12 @@ function getProcessedLandsatAndSentinel2Scenes() {
     cloudScorePlusThresh: 0.6,
   };
 
-  var args = prepArgumentsObject(arguments, defaultArgs);
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    sceneArgSchema,
+    "getProcessedLandsatAndSentinel2Scenes"
+  );
 
   args.toaOrSR = args.toaOrSR.toUpperCase();
 
@@ -4765,7 +8507,7 @@ function getProcessedLandsatAndSentinel2Scenes() {
   //Get Landsat
   args.preComputedCloudScoreOffset = args.preComputedLandsatCloudScoreOffset;
   args.preComputedTDOMIRMean = args.preComputedLandsatTDOMIRMean;
-  args.preComputedTDOMIRStdDev = args.preComputedSentinel2TDOMIRStdDev;
+  args.preComputedTDOMIRStdDev = args.preComputedLandsatTDOMIRStdDev;
   args.applyCloudScore = args.applyCloudScoreLandsat;
   args.applyTDOM = args.applyTDOMLandsat;
   args.resampleMethod = args.landsatResampleMethod;
@@ -4785,6 +8527,9 @@ function getProcessedLandsatAndSentinel2Scenes() {
 
   //Select off common bands between Landsat and Sentinel 2
   var commonBands = ["blue", "green", "red", "nir", "swir1", "swir2", "sensor"];
+  if (args.addMaskReason === true) {
+    commonBands.push("maskReason");
+  }
   ls = ls.select(commonBands);
   s2s = s2s.select(commonBands);
 
@@ -4840,10 +8585,17 @@ function getProcessedLandsatAndSentinel2Scenes() {
 
   // Merge Landsat and S2
   var merged = ls.merge(s2s);
-  merged = merged
-    .map(simpleAddIndices)
-    .map(getTasseledCap)
-    .map(simpleAddTCAngles);
+  merged = merged.map(simpleAddIndices);
+
+  //If harmonized, all sensors are ETM+ like, so use the ETM+ Tasseled Cap coefficients
+  if (args.runChastainHarmonization && args.toaOrSR === "TOA") {
+    merged = merged.map(function (img) {
+      return getTasseledCap(img, "Huang2002_ETM_TOA");
+    });
+  } else {
+    merged = merged.map(getTasseledCap);
+  }
+  merged = merged.map(simpleAddTCAngles);
   args.origin = "Landsat-Sentinel2-Hybrid";
   merged = merged.set(args);
   print("Total s2s:", s2s.size());
@@ -4973,9 +8725,27 @@ function getLandsatAndSentinel2HybridWrapper() {
     landsatCollectionVersion: "C2",
     applyCloudScorePlusSentinel2: true,
     cloudScorePlusThresh: 0.6,
+    bapParams: null,
+    compositePercentiles: [25, 75],
+    compositePercentileBands: ["nir", "swir1", "swir2"],
+    geometricMedianIterations: 10,
+    exportDestination: "asset",
+    exportFolder: null,
+    exportBucket: null,
+    cloudOptimized: false,
+    exportNameTemplate: null,
+    exportTileSize: null,
+    exportManifest: false,
+    encodingSchema: null,
+    exportArea: null,
   };
 
-  var args = prepArgumentsObject(arguments, defaultArgs);
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    compositeWrapperArgSchema,
+    "getLandsatAndSentinel2HybridWrapper"
+  );
 
   args.applyCloudScorePlus = args.applyCloudScorePlusSentinel2;
 
@@ -4991,35 +8761,17 @@ function getLandsatAndSentinel2HybridWrapper() {
   if (args.exportComposites) {
     // Export composite collection
 
-    var exportBandDict = {
-      medoid: [
-        "blue",
-        "green",
-        "red",
-        "nir",
-        "swir1",
-        "swir2",
-        "compositeObsCount",
-        "sensor",
-        "year",
-        "julianDay",
-      ],
-      median: [
-        "blue",
-        "green",
-        "red",
-        "nir",
-        "swir1",
-        "swir2",
-        "compositeObsCount",
-      ],
-    };
-    var nonDivideBandDict = {
-      medoid: ["compositeObsCount", "sensor", "year", "julianDay"],
-      median: ["compositeObsCount"],
-    };
-    args.exportBands = exportBandDict[args.compositingMethod];
-    args.nonDivideBands = nonDivideBandDict[args.compositingMethod];
+    //Add the bands specific to the compositing method
+    args.exportBands = [
+      "blue",
+      "green",
+      "red",
+      "nir",
+      "swir1",
+      "swir2",
+      "compositeObsCount",
+    ].concat(getCompositeMethodBandNames(args));
+    args.nonDivideBands = getCompositeNonDivideBandNames(args.exportBands);
     print("Args:", args);
     exportCompositeCollection(args);
   }
@@ -5167,6 +8919,295 @@ function newRobustMultipleLinear2(dependentsIndependents) {
   return reducerOut;
 }
 
+////////////////////////////////////////////////////////////////
+//Alternative fitting modes for harmonic regression
+//ols: ordinary least squares (newRobustMultipleLinear2)
+//weighted: weighted least squares using the weightFunctions
+//ridge: L2 penalty on the harmonic (sin/cos) coefficients
+//lasso: L1 penalty on the harmonic (sin/cos) coefficients (fit with coordinate descent)
+//iterativeReweighting: weighted least squares that iteratively drops observations
+//  with a residual larger than outlierThreshold * RMSE in any band (similar to Tmask)
+//Penalties are not applied to the intercept or trend (detrend) coefficients and
+//are relative to the weighted mean squared error, so lambda does not depend on the number of observations
+var harmonicFitModes = [
+  "ols",
+  "weighted",
+  "ridge",
+  "lasso",
+  "iterativeReweighting",
+];
+var harmonicFitDefaultParams = {
+  weightFunctions: [],
+  ridgeLambda: 0.1,
+  lassoLambda: 0.005,
+  lassoIterations: 25,
+  outlierThreshold: 2,
+  reweightingIterations: 2,
+};
+
+//Functions to get observation weight functions for weighted harmonic regression
+//Each returns a function that takes an image and returns a single band weight image
+//Weights from multiple functions are multiplied together
+//Weight by a band already in the images (e.g. cloudScorePlus)
+//Images without the band get a weight of 1
+function getBandWeightFunction(bandName, minWeight) {
+  if (minWeight === undefined || minWeight === null) {
+    minWeight = 0;
+  }
+  return function (img) {
+    return ee
+      .Image(
+        ee.Algorithms.If(
+          img.bandNames().contains(bandName),
+          img.select([bandName]),
+          ee.Image(1)
+        )
+      )
+      .max(minWeight);
+  };
+}
+//Weight by the sensor property set by addSensorBand
+//ex. {'LANDSAT_8':1,'LANDSAT_9':1,'Sentinel-2A':0.5,'Sentinel-2B':0.5}
+//Sensors not in the dictionary get a weight of 1
+function getSensorWeightFunction(sensorWeights) {
+  sensorWeights = ee.Dictionary(sensorWeights);
+  return function (img) {
+    var sensor = img.get("sensor");
+    return ee.Image.constant(
+      ee.Algorithms.If(sensor, sensorWeights.get(ee.String(sensor), 1), 1)
+    );
+  };
+}
+//Weight by distance (meters) from the nearest masked (cloud, cloud shadow, etc) pixel
+//Pixels maxDistance or more from a masked pixel get a weight of 1
+function getCloudDistanceWeightFunction(maxDistance, minWeight) {
+  if (minWeight === undefined || minWeight === null) {
+    minWeight = 0.1;
+  }
+  return function (img) {
+    var distance = img
+      .select([0])
+      .mask()
+      .not()
+      .fastDistanceTransform(256)
+      .sqrt()
+      .multiply(ee.Image.pixelArea().sqrt());
+    return distance.divide(maxDistance).clamp(minWeight, 1);
+  };
+}
+
+//Function to get the weight for each image from a list of weight functions
+function getHarmonicWeights(collection, weightFunctions) {
+  return collection.map(function (img) {
+    var weight = ee.Image(1);
+    weightFunctions.map(function (weightFunction) {
+      weight = weight.multiply(weightFunction(img));
+    });
+    return weight.float().rename(["weight"]);
+  });
+}
+
+//Soft thresholding operator used for the L1 penalty
+function softThreshold(arrayImg, threshold) {
+  return arrayImg.abs().subtract(threshold).max(0).multiply(arrayImg.signum());
+}
+
+//Function to fit a harmonic regression model using any of the harmonicFitModes
+//Expects the output of getHarmonics2 with a weight band (see getHarmonicWeights) linked to each image
+//nIndependents is the number of independents (not including the intercept)
+//Returns coefficients with the same band names and properties as newRobustMultipleLinear2
+function fitHarmonicRegression(
+  dependentsIndependents,
+  nIndependents,
+  fitMode,
+  fitParams
+) {
+  var dependents = ee.List(dependentsIndependents.get("depBandNames"));
+  var independents = ee.List(dependentsIndependents.get("indBandNames"));
+  var noDependents = dependents.length();
+  var noIndependents = nIndependents + 1;
+  var outNames = ee.List(["intercept"]).cat(independents);
+
+  //Set up constant, independents, dependents, and weight for each image
+  var forFit = dependentsIndependents.map(function (img) {
+    var out = img.addBands(ee.Image(1).select([0], ["constant"]));
+    return out.select(
+      ee.List(["constant", independents, dependents, "weight"]).flatten()
+    );
+  });
+
+  //Function to scale each row by the sqrt of its weight
+  //Minimizing the squared error of the scaled rows is weighted least squares
+  function scaleByWeight(img) {
+    return img
+      .select(ee.List(["constant", independents, dependents]).flatten())
+      .multiply(img.select(["weight"]).sqrt());
+  }
+
+  //Weighted least squares coefficients array ((noIndependents) x noDependents)
+  function getWeightedCoefficients(forFit) {
+    return forFit
+      .map(scaleByWeight)
+      .reduce(ee.Reducer.linearRegression(noIndependents, noDependents))
+      .select(["coefficients"]);
+  }
+
+  //Penalized coefficients array
+  //Solves the penalized weighted least squares problem with centered independents and dependents
+  //so the intercept is not penalized and is found afterward
+  function getPenalizedCoefficients(forFit, lambda, l1) {
+    //Penalty of lambda for harmonic coefficients and 0 for others (e.g. the trend)
+    var penalty = independents.map(function (ind) {
+      return ee
+        .Number(
+          ee.Algorithms.If(
+            ee.String(ind).match("^(sin|cos)_").length().gt(0),
+            1,
+            0
+          )
+        )
+        .multiply(lambda);
+    });
+
+    //Weighted means and centered cross products
+    var arr = forFit.map(scaleByWeight).toArray();
+    var x = arr.arraySlice(1, 0, noIndependents);
+    var y = arr.arraySlice(1, noIndependents);
+    var sumW = arr
+      .arraySlice(1, 0, 1)
+      .pow(2)
+      .arrayReduce(ee.Reducer.sum(), [0]);
+    sumW = sumW.arrayGet([0, 0]);
+    var xtx = x.arrayTranspose().matrixMultiply(x).divide(sumW);
+    var xty = x.arrayTranspose().matrixMultiply(y).divide(sumW);
+    var xMean = xtx.arraySlice(0, 0, 1).arraySlice(1, 1); //1 x nIndependents
+    var yMean = xty.arraySlice(0, 0, 1); //1 x noDependents
+    var cov = xtx
+      .arraySlice(0, 1)
+      .arraySlice(1, 1)
+      .subtract(xMean.arrayTranspose().matrixMultiply(xMean));
+    var covY = xty
+      .arraySlice(0, 1)
+      .subtract(xMean.arrayTranspose().matrixMultiply(yMean));
+
+    var coeffs;
+    if (!l1) {
+      //Ridge has a closed form solution
+      var penaltyMatrix = ee.Image(
+        ee.Array.identity(nIndependents).multiply(
+          ee.Array(ee.List([penalty])).repeat(0, nIndependents)
+        )
+      );
+      coeffs = cov.add(penaltyMatrix).matrixSolve(covY);
+    } else {
+      //Lasso is fit using cyclic coordinate descent starting from all 0 coefficients
+      coeffs = covY.multiply(0);
+      for (var it = 0; it < fitParams.lassoIterations; it++) {
+        for (var j = 0; j < nIndependents; j++) {
+          var covJ = cov.arraySlice(0, j, j + 1); //1 x nIndependents
+          var covJJ = covJ.arrayGet([0, j]);
+          var coeffJ = coeffs.arraySlice(0, j, j + 1); //1 x noDependents
+          var partial = covY
+            .arraySlice(0, j, j + 1)
+            .subtract(covJ.matrixMultiply(coeffs))
+            .add(coeffJ.multiply(covJJ));
+          var updated = softThreshold(
+            partial,
+            ee.Number(penalty.get(j))
+          ).divide(covJJ);
+
+          //Replace row j of the coefficients with the update
+          var unitJ = [];
+          for (var k = 0; k < nIndependents; k++) {
+            unitJ.push([k === j ? 1 : 0]);
+          }
+          coeffs = coeffs.add(
+            ee.Image(ee.Array(unitJ)).matrixMultiply(updated.subtract(coeffJ))
+          );
+        }
+      }
+    }
+    var intercept = yMean.subtract(xMean.matrixMultiply(coeffs));
+    return intercept.arrayCat(coeffs, 0);
+  }
+
+  //Function to drop observations with large residuals in any band
+  function dropOutliers(forFit, coeffsArray) {
+    function getResidual(img) {
+      var x = img
+        .select(ee.List(["constant", independents]).flatten())
+        .toArray()
+        .toArray(1)
+        .arrayTranspose();
+      var y = img.select(dependents).toArray().toArray(1).arrayTranspose();
+      return y.subtract(x.matrixMultiply(coeffsArray));
+    }
+    var rmse = forFit
+      .map(function (img) {
+        return getResidual(img).pow(2);
+      })
+      .mean()
+      .sqrt();
+    var threshold = rmse.multiply(fitParams.outlierThreshold);
+    return forFit.map(function (img) {
+      var isOutlier = getResidual(img)
+        .abs()
+        .gt(threshold)
+        .arrayReduce(ee.Reducer.max(), [1])
+        .arrayGet([0, 0]);
+      return img.updateMask(isOutlier.not());
+    });
+  }
+
+  var coeffsArray;
+  if (fitMode === "weighted") {
+    coeffsArray = getWeightedCoefficients(forFit);
+  } else if (fitMode === "ridge") {
+    coeffsArray = getPenalizedCoefficients(
+      forFit,
+      fitParams.ridgeLambda,
+      false
+    );
+  } else if (fitMode === "lasso") {
+    coeffsArray = getPenalizedCoefficients(forFit, fitParams.lassoLambda, true);
+  } else if (fitMode === "iterativeReweighting") {
+    coeffsArray = getWeightedCoefficients(forFit);
+    for (var i = 0; i < fitParams.reweightingIterations; i++) {
+      forFit = dropOutliers(forFit, coeffsArray);
+      coeffsArray = getWeightedCoefficients(forFit);
+    }
+  } else {
+    throw new Error(
+      "fitHarmonicRegression: unknown fitMode " +
+        fitMode +
+        ". Options are: " +
+        harmonicFitModes.join(", ")
+    );
+  }
+
+  return ee
+    .Image(coeffsArray)
+    .arrayTranspose()
+    .arrayFlatten([dependents, outNames])
+    .set({
+      noDependents: ee.Number(noDependents),
+      modelLength: ee.Number(noIndependents),
+    });
+}
+
+//Function to record the harmonic fitting mode and its parameters as image properties
+//Properties are named harmonicFitMode and harmonicFit_<paramName>
+function setHarmonicFitProperties(img, fitMode, fitParams) {
+  var props = { harmonicFitMode: fitMode };
+  Object.keys(fitParams).map(function (k) {
+    if (k === "weightFunctions") {
+      props.harmonicFit_nWeightFunctions = fitParams[k].length;
+    } else {
+      props["harmonicFit_" + k] = fitParams[k];
+    }
+  });
+  return img.set(props);
+}
 /////////////////////////////////////////////////////////////////
 //Code for finding the date of peak of green
 //Also converts it to Julian day, month, and day of month
@@ -5516,11 +9557,15 @@ function getDateStack(startYear, endYear, startJulian, endJulian, frequency) {
 }
 
 ////////////////////////////////////////////////////////////////////
+//Returns [coefficients, predicted collection, goodness-of-fit stats (see getHarmonicFitStats)]
+//fitMode is one of harmonicFitModes (defaults to ols) and fitParams overrides any of harmonicFitDefaultParams
 function getHarmonicCoefficientsAndFit(
   allImages,
   indexNames,
   whichHarmonics,
-  detrend
+  detrend,
+  fitMode,
+  fitParams
 ) {
   if (detrend === undefined || detrend === null) {
     detrend = false;
@@ -5528,6 +9573,18 @@ function getHarmonicCoefficientsAndFit(
   if (whichHarmonics === undefined || whichHarmonics === null) {
     whichHarmonics = [2];
   }
+  if (fitMode === undefined || fitMode === null) {
+    fitMode = "ols";
+  }
+  if (fitParams === undefined || fitParams === null) {
+    fitParams = {};
+  }
+  //Fill in any fitParams that are not provided with harmonicFitDefaultParams
+  var params = {};
+  Object.keys(harmonicFitDefaultParams).map(function (k) {
+    params[k] =
+      fitParams[k] === undefined ? harmonicFitDefaultParams[k] : fitParams[k];
+  });
 
   //Select desired bands
   var allIndices = allImages.select(indexNames);
@@ -5556,7 +9613,22 @@ function getHarmonicCoefficientsAndFit(
   // print(g);
 
   //Fit a linear regression model
-  var coeffs = newRobustMultipleLinear2(withHarmonics);
+  var coeffs;
+  if (fitMode === "ols") {
+    coeffs = newRobustMultipleLinear2(withHarmonics);
+  } else {
+    //Link the weight for each observation and fit using the chosen mode
+    var weights = getHarmonicWeights(allImages, params.weightFunctions);
+    var withWeights = withHarmonics
+      .linkCollection(weights, ["weight"], [], "system:index")
+      .set({
+        depBandNames: withHarmonics.get("depBandNames"),
+        indBandNames: withHarmonics.get("indBandNames"),
+      });
+    var nIndependents = whichHarmonics.length * 2 + (detrend ? 1 : 0);
+    coeffs = fitHarmonicRegression(withWeights, nIndependents, fitMode, params);
+  }
+  coeffs = setHarmonicFitProperties(coeffs, fitMode, params);
 
   //Can visualize the phase and amplitude if only the first ([2]) harmonic is chosen
   // if(whichHarmonics == 2){
@@ -5568,7 +9640,215 @@ function getHarmonicCoefficientsAndFit(
 
   // Map.addLayer(coeffs,{},'Harmonic Regression Coefficients',false);
   var predicted = newPredict(coeffs, withHarmonics);
-  return [coeffs, predicted];
+
+  //Get goodness-of-fit stats for each band
+  var fitStats = getHarmonicFitStats(
+    predicted,
+    indexNames,
+    coeffs.get("modelLength")
+  );
+  return [coeffs, predicted, fitStats];
+}
+///////////////////////////////////////////////////////////////
+//Goodness-of-fit stats for harmonic regression
+//Output bands are named <bandName>_<statName>
+//RMSE: root mean squared error of the residuals
+//R2: coefficient of determination (1 - SSE/SST)
+//residualStdDev: standard deviation of the residuals (sqrt(SSE/(n - number of coefficients)))
+//nObs: number of observations used to fit the model
+//temporalCoverage: proportion of months of the year with at least one observation
+var harmonicFitStatNames = [
+  "RMSE",
+  "R2",
+  "residualStdDev",
+  "nObs",
+  "temporalCoverage",
+];
+
+//Function to compute goodness-of-fit stats from the output of newPredict
+//modelLength is the number of coefficients fit for each band (including the intercept)
+function getHarmonicFitStats(predicted, indexNames, modelLength) {
+  modelLength = ee.Image.constant(ee.Number(modelLength));
+
+  var stats = indexNames.map(function (bn) {
+    var actualPredicted = predicted.select(
+      [bn, bn + "_predicted"],
+      ["actual", "predicted"]
+    );
+    var mean = actualPredicted.select(["actual"]).mean();
+
+    var errors = actualPredicted.map(function (img) {
+      var actual = img.select(["actual"]);
+      var sqError = actual
+        .subtract(img.select(["predicted"]))
+        .pow(2)
+        .rename(["sqError"]);
+      var sqTotal = actual.subtract(mean).pow(2).rename(["sqTotal"]);
+
+      //Flag which month this observation falls in (bit 0 = January)
+      var month = ee.Date(img.get("system:time_start")).get("month");
+      var monthBit = ee.Image.constant(
+        ee.Number(1).leftShift(month.subtract(1))
+      )
+        .int()
+        .updateMask(actual.mask())
+        .rename(["monthBit"]);
+      return sqError.addBands(sqTotal).addBands(monthBit);
+    });
+
+    var ssError = errors.select(["sqError"]).sum();
+    var ssTotal = errors.select(["sqTotal"]).sum();
+    var nObs = errors.select(["sqError"]).count();
+    var dof = nObs.subtract(modelLength);
+
+    var rmse = ssError.divide(nObs).sqrt();
+    var r2 = ee.Image(1).subtract(ssError.divide(ssTotal));
+    var residualStdDev = ssError.divide(dof).sqrt().updateMask(dof.gt(0));
+    var temporalCoverage = errors
+      .select(["monthBit"])
+      .reduce(ee.Reducer.bitwiseOr())
+      .bitCount()
+      .divide(12);
+
+    return ee.Image.cat([rmse, r2, residualStdDev, nObs, temporalCoverage])
+      .float()
+      .rename(
+        harmonicFitStatNames.map(function (statName) {
+          return bn + "_" + statName;
+        })
+      );
+  });
+
+  return ee.Image.cat(stats).set({
+    indexNames: indexNames,
+    harmonicFitStatNames: harmonicFitStatNames,
+  });
+}
+
+//Function to mask harmonic regression coefficients of each band where the fit is unreliable
+//Expects coeffs and fitStats from getHarmonicCoefficientsAndFit
+//Any threshold that is null is not used
+function maskHarmonicCoefficients(
+  coeffs,
+  fitStats,
+  indexNames,
+  minR2,
+  maxRMSE,
+  minObs,
+  minTemporalCoverage
+) {
+  var masked = indexNames.map(function (bn) {
+    var mask = ee.Image(1);
+    if (minR2 !== null && minR2 !== undefined) {
+      mask = mask.and(fitStats.select([bn + "_R2"]).gte(minR2));
+    }
+    if (maxRMSE !== null && maxRMSE !== undefined) {
+      mask = mask.and(fitStats.select([bn + "_RMSE"]).lte(maxRMSE));
+    }
+    if (minObs !== null && minObs !== undefined) {
+      mask = mask.and(fitStats.select([bn + "_nObs"]).gte(minObs));
+    }
+    if (minTemporalCoverage !== null && minTemporalCoverage !== undefined) {
+      mask = mask.and(
+        fitStats.select([bn + "_temporalCoverage"]).gte(minTemporalCoverage)
+      );
+    }
+    return coeffs.select([bn + "_.*"]).updateMask(mask);
+  });
+
+  return coeffs.addBands(ee.Image.cat(masked), null, true);
+}
+///////////////////////////////////////////////////////////////
+//Wrapper function to fit harmonic regression models in moving multi-year windows
+//A model is fit to all scenes within year - timebuffer to year + timebuffer for each year
+//Returns the args object with harmonicCoefficients, an annual imageCollection with the coefficients,
+//and optionally the phase/amplitude/peak (if whichHarmonics includes 2) and goodness-of-fit stats
+//system:time_start is set to June 1 of each year (same as compositeTimeSeries) so the
+//collection can be used by annual time series methods (e.g. LandTrendr or pairwiseSlope)
+function getHarmonicCoefficientsTimeSeries() {
+  var defaultArgs = {
+    scenes: null,
+    startYear: null,
+    endYear: null,
+    startJulian: 1,
+    endJulian: 365,
+    timebuffer: 1,
+    indexNames: ["NDVI"],
+    whichHarmonics: [2],
+    detrend: false,
+    fitMode: "ols",
+    fitParams: null,
+    addPhaseAmplitudePeak: true,
+    addFitStats: true,
+  };
+
+  var args = prepArgumentsObject(arguments, defaultArgs);
+  args.dateWrapping = wrapDates(args.startJulian, args.endJulian);
+  args.wrapOffset = args.dateWrapping[0];
+  args.yearWithMajority = args.dateWrapping[1];
+
+  var ts = range(
+    args.startYear + args.timebuffer,
+    args.endYear - args.timebuffer + 1
+  ).map(function (year) {
+    // Set up dates
+    var startYearT = year - args.timebuffer;
+    var endYearT = year + args.timebuffer;
+    var startDateT = ee.Date.fromYMD(startYearT, 1, 1).advance(
+      args.startJulian - 1,
+      "day"
+    );
+    var endDateT = ee.Date.fromYMD(endYearT, 1, 1).advance(
+      args.endJulian - 1 + args.wrapOffset,
+      "day"
+    );
+
+    //Fit the model to the scenes in the window
+    var scenesT = args.scenes
+      .filterDate(startDateT, endDateT.advance(1, "day"))
+      .filter(ee.Filter.calendarRange(args.startJulian, args.endJulian));
+    var coeffsPredictedFitStats = getHarmonicCoefficientsAndFit(
+      scenesT,
+      args.indexNames,
+      args.whichHarmonics,
+      args.detrend,
+      args.fitMode,
+      args.fitParams
+    );
+    var coeffs = coeffsPredictedFitStats[0];
+    var out = coeffs;
+
+    //Optionally add phase, amplitude, and peak date
+    if (args.addPhaseAmplitudePeak && args.whichHarmonics.indexOf(2) !== -1) {
+      out = out.addBands(getPhaseAmplitudePeak(coeffs));
+    }
+    //Optionally add goodness-of-fit stats
+    if (args.addFitStats) {
+      out = out.addBands(coeffsPredictedFitStats[2]);
+    }
+
+    return out
+      .float()
+      .copyProperties(coeffs)
+      .set({
+        "system:time_start": ee.Date.fromYMD(
+          year + args.yearWithMajority,
+          6,
+          1
+        ).millis(),
+        startDate: startDateT.millis(),
+        endDate: endDateT.millis(),
+        startJulian: args.startJulian,
+        endJulian: args.endJulian,
+        yearBuffer: args.timebuffer,
+        nScenes: scenesT.size(),
+        yrOriginal: year,
+        yrUsed: year + args.yearWithMajority,
+      });
+  });
+
+  args.harmonicCoefficients = ee.ImageCollection(ts);
+  return args;
 }
 ///////////////////////////////////////////////////////////////
 //Simple predict function for harmonic coefficients
@@ -5632,12 +9912,474 @@ function synthImage(coeffs, dateImage, indexNames, harmonics, detrend) {
 // //   return syntheticStack
 // }
 ////////////////////////////////////////////////////////////////////////////////
+// Land surface phenology
+// Fits double-logistic and Savitzky-Golay models to each year of a cleaned scene collection
+// and derives start/end/length of season, green-up and senescence rates, and base/peak values
+// All dates are expressed as days since January 1 of the year (can exceed 365 when dates wrap)
+//
+// Abbreviations used in output band names (<indexName>_<method abbreviation>_<metric>)
+var phenologyMethodDict = { doubleLogistic: "DL", savitzkyGolay: "SG" };
+var phenologyMetricNames = [
+  "baseValue",
+  "peakValue",
+  "amplitude",
+  "peakDOY",
+  "SOS",
+  "EOS",
+  "LOS",
+  "midGreenUp",
+  "midSenescence",
+  "greenUpRate",
+  "senescenceRate",
+];
+// Metrics that are in days and should not be multiplied by a scale factor on export
+var phenologyDateMetricNames = [
+  "peakDOY",
+  "SOS",
+  "EOS",
+  "LOS",
+  "midGreenUp",
+  "midSenescence",
+];
+// Normalized values outside these bounds are not used to fit the linearized double-logistic
+// since the logit of values near 0 and 1 is unstable
+var phenologyLogitBounds = [0.05, 0.95];
+
+// Function to get phenology band names for a list of indices and methods
+// Optionally only return the date metrics (useful for the nonDivideBands of exportCompositeCollection)
+function getPhenologyBandNames(indexNames, methods, dateMetricsOnly) {
+  var metricNames = phenologyMetricNames;
+  if (dateMetricsOnly === true) {
+    metricNames = phenologyDateMetricNames;
+  }
+  var out = [];
+  indexNames.map(function (indexName) {
+    methods.map(function (method) {
+      metricNames.map(function (metricName) {
+        out.push(
+          indexName + "_" + phenologyMethodDict[method] + "_" + metricName
+        );
+      });
+    });
+  });
+  return out;
+}
+
+// Function to set up a single index for a single year for phenology fitting
+// Flips indices that decrease with vegetation vigor so the peak is always the max value
+// Returns a collection with a value and DOY (days since January 1 of the year) band
+function getPhenologySeries(scenes, indexName, yearStart, args) {
+  var sign = getChangeDirection(indexName) * -1;
+  return scenes
+    .filterDate(
+      yearStart.advance(args.startJulian - 1, "day"),
+      yearStart.advance(args.endJulian + args.wrapOffset, "day")
+    )
+    .select([indexName])
+    .map(function (img) {
+      var doy = ee
+        .Image(
+          ee.Date(img.get("system:time_start")).difference(yearStart, "day")
+        )
+        .add(1)
+        .float()
+        .updateMask(img.mask())
+        .rename(["DOY"]);
+      return img
+        .multiply(sign)
+        .float()
+        .rename(["value"])
+        .addBands(doy)
+        .copyProperties(img, ["system:time_start"]);
+    });
+}
+
+// Function to find the date a logistic curve fit with a linear fit of logit(normalized value) ~ DOY
+// crosses a given proportion of the amplitude
+function getLogisticThresholdDate(fit, threshold) {
+  return ee.Image.constant(Math.log(threshold / (1 - threshold)))
+    .subtract(fit.select(["offset"]))
+    .divide(fit.select(["scale"]));
+}
+
+// Function to fit a double-logistic model to a phenology series
+// Base and peak values are taken from percentiles of the observations and
+// the green-up and senescence logistic curves are fit by linearizing
+// the observations before and after the peak using the logit transform
+function getDoubleLogisticPhenology(series, args) {
+  var basePeak = series
+    .select(["value"])
+    .reduce(ee.Reducer.percentile([args.basePercentile, args.peakPercentile]))
+    .rename(["base", "peak"]);
+  var base = basePeak.select(["base"]);
+  var amplitude = basePeak.select(["peak"]).subtract(base);
+  var peakDOY = series.qualityMosaic("value").select(["DOY"]);
+
+  var logitSeries = series.map(function (img) {
+    var norm = img.select(["value"]).subtract(base).divide(amplitude);
+    var logit = norm
+      .divide(norm.multiply(-1).add(1))
+      .log()
+      .updateMask(
+        norm.gte(phenologyLogitBounds[0]).and(norm.lte(phenologyLogitBounds[1]))
+      )
+      .rename(["logit"]);
+    return img.select(["DOY"]).addBands(logit);
+  });
+
+  var greenUpFit = logitSeries
+    .map(function (img) {
+      return img.updateMask(img.select(["DOY"]).lte(peakDOY));
+    })
+    .reduce(ee.Reducer.linearFit());
+  greenUpFit = greenUpFit.updateMask(greenUpFit.select(["scale"]).gt(0));
+  var senescenceFit = logitSeries
+    .map(function (img) {
+      return img.updateMask(img.select(["DOY"]).gte(peakDOY));
+    })
+    .reduce(ee.Reducer.linearFit());
+  senescenceFit = senescenceFit.updateMask(
+    senescenceFit.select(["scale"]).lt(0)
+  );
+
+  // The max slope of a logistic curve is at its inflection point and is amplitude * scale / 4
+  return ee.Image.cat([
+    base.rename(["baseValue"]),
+    basePeak.select(["peak"]).rename(["peakValue"]),
+    amplitude.rename(["amplitude"]),
+    peakDOY.rename(["peakDOY"]),
+    getLogisticThresholdDate(greenUpFit, args.startThreshold).rename(["SOS"]),
+    getLogisticThresholdDate(senescenceFit, args.endThreshold).rename(["EOS"]),
+    getLogisticThresholdDate(greenUpFit, args.midThreshold).rename([
+      "midGreenUp",
+    ]),
+    getLogisticThresholdDate(senescenceFit, args.midThreshold).rename([
+      "midSenescence",
+    ]),
+    amplitude
+      .multiply(greenUpFit.select(["scale"]))
+      .divide(4)
+      .rename(["greenUpRate"]),
+    amplitude
+      .multiply(senescenceFit.select(["scale"]))
+      .divide(4)
+      .rename(["senescenceRate"]),
+  ]);
+}
+
+// Function to smooth a phenology series with a Savitzky-Golay filter
+// Since observations are irregularly spaced, the local polynomial is fit to all
+// observations within sgWindowDays centered on every sgStepDays
+// Returns a collection with the smoothed value, its first derivative (slope), and DOY
+function getSavitzkyGolaySeries(series, yearStart, args) {
+  var halfWindow = args.sgWindowDays / 2;
+  var nCoeffs = args.sgPolyOrder + 1;
+  var coeffNames = ["value", "slope"];
+  for (var i = 2; i < nCoeffs; i++) {
+    coeffNames.push("coeff" + i.toString());
+  }
+  var centers = ee.List.sequence(
+    args.startJulian,
+    args.endJulian + args.wrapOffset,
+    args.sgStepDays
+  );
+  var smoothed = centers.map(function (center) {
+    center = ee.Number(center);
+    var windowSeries = series.filterDate(
+      yearStart.advance(center.subtract(halfWindow + 1), "day"),
+      yearStart.advance(center.add(halfWindow), "day")
+    );
+    var fitted = windowSeries
+      .map(function (img) {
+        var dt = img.select(["DOY"]).subtract(center);
+        var predictors = ee.Image(1);
+        for (var p = 1; p < nCoeffs; p++) {
+          predictors = predictors.addBands(dt.pow(p));
+        }
+        return predictors.addBands(img.select(["value"])).float();
+      })
+      .reduce(ee.Reducer.linearRegression(nCoeffs, 1))
+      .select(["coefficients"])
+      .arrayProject([0])
+      .arrayFlatten([coeffNames])
+      .select(["value", "slope"]);
+    fitted = fitted
+      .addBands(ee.Image.constant(center).float().rename(["DOY"]))
+      .set(
+        "system:time_start",
+        yearStart.advance(center.subtract(1), "day").millis()
+      );
+    return ee.Algorithms.If(windowSeries.size().gte(nCoeffs), fitted, null);
+  }, true);
+  return ee.ImageCollection.fromImages(smoothed);
+}
+
+// Function to derive phenology metrics from a Savitzky-Golay smoothed phenology series
+// Dates are the first (green-up) and last (senescence) smoothed dates at or above the threshold
+function getSavitzkyGolayPhenology(series, yearStart, args) {
+  var smoothed = getSavitzkyGolaySeries(series, yearStart, args);
+  var base = smoothed.select(["value"]).min();
+  var peak = smoothed.select(["value"]).max();
+  var amplitude = peak.subtract(base);
+  var peakDOY = smoothed.qualityMosaic("value").select(["DOY"]);
+
+  function getThresholdDate(threshold, greenUp) {
+    var thresholdValue = base.add(amplitude.multiply(threshold));
+    var dates = smoothed.map(function (img) {
+      var doy = img.select(["DOY"]);
+      var side = greenUp ? doy.lte(peakDOY) : doy.gte(peakDOY);
+      return doy.updateMask(
+        img.select(["value"]).gte(thresholdValue).and(side)
+      );
+    });
+    if (greenUp) {
+      return dates.min();
+    }
+    return dates.max();
+  }
+  function getRate(greenUp) {
+    var slopes = smoothed.map(function (img) {
+      var doy = img.select(["DOY"]);
+      var side = greenUp ? doy.lte(peakDOY) : doy.gte(peakDOY);
+      return img.select(["slope"]).updateMask(side);
+    });
+    if (greenUp) {
+      return slopes.max();
+    }
+    return slopes.min();
+  }
+
+  return ee.Image.cat([
+    base.rename(["baseValue"]),
+    peak.rename(["peakValue"]),
+    amplitude.rename(["amplitude"]),
+    peakDOY.rename(["peakDOY"]),
+    getThresholdDate(args.startThreshold, true).rename(["SOS"]),
+    getThresholdDate(args.endThreshold, false).rename(["EOS"]),
+    getThresholdDate(args.midThreshold, true).rename(["midGreenUp"]),
+    getThresholdDate(args.midThreshold, false).rename(["midSenescence"]),
+    getRate(true).rename(["greenUpRate"]),
+    getRate(false).rename(["senescenceRate"]),
+  ]);
+}
+
+// Function to get phenology metrics for a single index, method, and year
+// Base/peak values and rates are converted back to the original direction of the index
+function getPhenologyMetrics(scenes, indexName, method, year, args) {
+  var yearStart = ee.Date.fromYMD(year, 1, 1);
+  var series = getPhenologySeries(scenes, indexName, yearStart, args);
+  var sign = getChangeDirection(indexName) * -1;
+
+  var metrics;
+  if (method === "doubleLogistic") {
+    metrics = getDoubleLogisticPhenology(series, args);
+  } else if (method === "savitzkyGolay") {
+    metrics = getSavitzkyGolayPhenology(series, yearStart, args);
+  } else {
+    throw new Error(
+      "getPhenologyMetrics: unknown method " +
+        method +
+        ". Options are: " +
+        Object.keys(phenologyMethodDict).join(", ")
+    );
+  }
+  var signedBands = ["baseValue", "peakValue", "greenUpRate", "senescenceRate"];
+  metrics = metrics
+    .addBands(metrics.select(signedBands).multiply(sign), null, true)
+    .addBands(
+      metrics
+        .select(["EOS"])
+        .subtract(metrics.select(["SOS"]))
+        .rename(["LOS"])
+    )
+    .select(phenologyMetricNames)
+    .float();
+
+  return metrics.rename(getPhenologyBandNames([indexName], [method]));
+}
+
+// Wrapper function to get annual land surface phenology metrics
+// scenes should be a cleaned (cloud/shadow masked) collection such as the output of
+// getProcessedLandsatScenes or getProcessedSentinel2Scenes with the indexNames bands
+// Returns the args object with phenology, an imageCollection with one image per year
+// The phenology collection can be exported with exportCompositeCollection
+// using phenologyBandNames as the exportBands and phenologyDateBandNames as the nonDivideBands
+// This is done when exportComposites is true (exportPhenology is its deprecated name)
+var phenologyWrapperArgSchema = {
+  scenes: { type: "ee", required: true },
+  studyArea: { type: "ee" },
+  startYear: { type: "number", required: true },
+  endYear: { type: "number", required: true },
+  startJulian: { type: "number" },
+  endJulian: { type: "number" },
+  indexNames: { type: "array" },
+  methods: { type: "array", values: ["doubleLogistic", "savitzkyGolay"] },
+  startThreshold: { type: "number" },
+  endThreshold: { type: "number" },
+  midThreshold: { type: "number" },
+  basePercentile: { type: "number" },
+  peakPercentile: { type: "number" },
+  sgWindowDays: { type: "number" },
+  sgStepDays: { type: "number" },
+  sgPolyOrder: { type: "number" },
+  exportComposites: { type: "boolean", aliases: ["exportPhenology"] },
+  outputName: { type: "string" },
+  exportPathRoot: { type: "string" },
+  crs: { type: "string" },
+  transform: { type: "array" },
+  scale: { type: "number" },
+  scaleFactor: { type: "number" },
+  toaOrSR: { type: "string" },
+  exportDestination: { type: "string", values: exportDestinations },
+  encodingSchema: { type: "object" },
+};
+function getPhenologyWrapper() {
+  var defaultArgs = {
+    scenes: null,
+    studyArea: null,
+    startYear: null,
+    endYear: null,
+    startJulian: 1,
+    endJulian: 365,
+    indexNames: ["NDVI"],
+    methods: ["doubleLogistic", "savitzkyGolay"],
+    startThreshold: 0.2,
+    endThreshold: 0.2,
+    midThreshold: 0.5,
+    basePercentile: 5,
+    peakPercentile: 95,
+    sgWindowDays: 48,
+    sgStepDays: 8,
+    sgPolyOrder: 2,
+    exportComposites: false,
+    outputName: "Phenology",
+    exportPathRoot: null,
+    crs: "EPSG:5070",
+    transform: [30, 0, -2361915.0, 0, -30, 3177735.0],
+    scale: null,
+    scaleFactor: 10000,
+    toaOrSR: "SR",
+    exportDestination: "asset",
+    exportFolder: null,
+    exportBucket: null,
+    cloudOptimized: false,
+    exportNameTemplate: null,
+    exportTileSize: null,
+    exportManifest: false,
+    encodingSchema: null,
+  };
+
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    phenologyWrapperArgSchema,
+    "getPhenologyWrapper"
+  );
+  args.origin = "Phenology";
+  args.dateWrapping = wrapDates(args.startJulian, args.endJulian);
+  args.wrapOffset = args.dateWrapping[0];
+  args.yearWithMajority = args.dateWrapping[1];
+  args.phenologyBandNames = getPhenologyBandNames(
+    args.indexNames,
+    args.methods
+  );
+  args.phenologyDateBandNames = getPhenologyBandNames(
+    args.indexNames,
+    args.methods,
+    true
+  );
+
+  var phenology = range(args.startYear, args.endYear + 1).map(function (year) {
+    var metrics = [];
+    args.indexNames.map(function (indexName) {
+      args.methods.map(function (method) {
+        metrics.push(
+          getPhenologyMetrics(args.scenes, indexName, method, year, args)
+        );
+      });
+    });
+    return ee.Image.cat(metrics).set({
+      "system:time_start": ee.Date.fromYMD(
+        year + args.yearWithMajority,
+        6,
+        1
+      ).millis(),
+      year: year,
+      startJulian: args.startJulian,
+      endJulian: args.endJulian,
+      phenologyMethods: args.methods,
+      startThreshold: args.startThreshold,
+      endThreshold: args.endThreshold,
+      midThreshold: args.midThreshold,
+    });
+  });
+  args.phenology = ee.ImageCollection.fromImages(phenology);
+
+  if (args.exportComposites) {
+    exportCompositeCollection({
+      exportPathRoot: args.exportPathRoot,
+      outputName: args.outputName,
+      studyArea: args.studyArea,
+      crs: args.crs,
+      transform: args.transform,
+      scale: args.scale,
+      collection: args.phenology,
+      startYear: args.startYear,
+      endYear: args.endYear,
+      startJulian: args.startJulian,
+      endJulian: args.endJulian,
+      compositingMethod: "phenology",
+      timebuffer: 0,
+      exportBands: args.phenologyBandNames,
+      toaOrSR: args.toaOrSR,
+      nonDivideBands: args.phenologyDateBandNames,
+      origin: args.origin,
+      scaleFactor: args.scaleFactor,
+      exportDestination: args.exportDestination,
+      exportFolder: args.exportFolder,
+      exportBucket: args.exportBucket,
+      cloudOptimized: args.cloudOptimized,
+      exportNameTemplate: args.exportNameTemplate,
+      exportTileSize: args.exportTileSize,
+      exportManifest: args.exportManifest,
+      encodingSchema: args.encodingSchema,
+    });
+  }
+  return args;
+}
+////////////////////////////////////////////////////////////////////////////////
 //Wrapper function to get climate data
 // Supports:
 // NASA/ORNL/DAYMET_V3
 // NASA/ORNL/DAYMET_V4
 // UCSB-CHG/CHIRPS/DAILY (precipitation only)
 //and possibly others
+//Composites can be exported to an asset, Drive, or Cloud Storage (see exportImage)
+var climateWrapperArgSchema = {
+  collectionName: { type: "string" },
+  studyArea: { type: "ee", required: true },
+  startYear: { type: "number", required: true },
+  endYear: { type: "number", required: true },
+  startJulian: { type: "number", required: true },
+  endJulian: { type: "number", required: true },
+  timebuffer: { type: "number" },
+  weights: { type: "array" },
+  compositingReducer: { type: "ee" },
+  exportComposites: { type: "boolean" },
+  exportPathRoot: { type: "string" },
+  crs: { type: "string" },
+  transform: { type: "array" },
+  scale: { type: "number" },
+  exportBands: { type: ["array", "ee"] },
+  exportDestination: { type: "string", values: exportDestinations },
+  exportFolder: { type: "string" },
+  exportBucket: { type: "string" },
+  cloudOptimized: { type: "boolean" },
+  exportNameTemplate: { type: "string" },
+  exportTileSize: { type: "number" },
+  exportManifest: { type: "boolean" },
+  encodingSchema: { type: "object" },
+};
 function getClimateWrapper(
   collectionName,
   studyArea,
@@ -5653,7 +10395,15 @@ function getClimateWrapper(
   crs,
   transform,
   scale,
-  exportBands
+  exportBands,
+  exportDestination,
+  exportFolder,
+  exportBucket,
+  cloudOptimized,
+  exportNameTemplate,
+  exportTileSize,
+  exportManifest,
+  encodingSchema
 ) {
   var defaultArgs = {
     collectionName: "NASA/ORNL/DAYMET_V4",
@@ -5671,9 +10421,22 @@ function getClimateWrapper(
     transform: [30, 0, -2361915.0, 0, -30, 3177735.0],
     scale: null,
     exportBands: null,
+    exportDestination: "asset",
+    exportFolder: null,
+    exportBucket: null,
+    cloudOptimized: false,
+    exportNameTemplate: null,
+    exportTileSize: null,
+    exportManifest: false,
+    encodingSchema: null,
   };
 
-  var args = prepArgumentsObject(arguments, defaultArgs);
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    climateWrapperArgSchema,
+    "getClimateWrapper"
+  );
   print(args);
 
   // Prepare dates
@@ -5717,6 +10480,7 @@ function getClimateWrapper(
   );
 
   if (args.exportComposites) {
+    args.origin = "Climate";
     //Set up export bands if not specified
     if (args.exportBands === null || args.exportBands === undefined) {
       args.exportBands = ee.Image(ts.first()).bandNames();
@@ -5737,7 +10501,8 @@ function getClimateWrapper(
       args.endJulian,
       args.compositingReducer,
       args.timebuffer,
-      args.exportBands
+      args.exportBands,
+      args
     );
   }
 
@@ -5819,6 +10584,360 @@ function simpleWaterMask(
 
   return waterMask.rename(["waterMask"]);
 }
+//////////////////////////////////////////////////////////////////////////
+// Burn severity
+// Computes dNBR, RdNBR, RBR, and dNBR2 from pre and post-fire composites
+// All are scaled by 1000 as is done by MTBS
+// dNBR: Key and Benson 2006
+// RdNBR: Miller and Thode 2007
+// RBR: Parks et al 2014 (https://doi.org/10.3390/rs6031827)
+//
+// Severity class thresholds for each metric
+// Values >= low are low severity, >= moderate are moderate severity, and >= high are high severity
+// Values < increasedGreenness are increased greenness (set to null to not use this class)
+// dNBR2 has no standard thresholds, so severityThresholds must be provided to classify it
+var burnSeverityThresholdDict = {
+  dNBR: { increasedGreenness: -100, low: 100, moderate: 270, high: 660 },
+  RdNBR: { increasedGreenness: null, low: 69, moderate: 316, high: 641 },
+  RBR: { increasedGreenness: null, low: 35, moderate: 130, high: 298 },
+};
+// MTBS-style severity class values
+var burnSeverityClassDict = {
+  unburnedToLow: 1,
+  low: 2,
+  moderate: 3,
+  high: 4,
+  increasedGreenness: 5,
+};
+
+// Function to get the pre and post-fire date windows for a given assessment type
+// initial: pre = season the year before the fire, post = fire date to initialPostDays after the fire
+// extended: pre = season the year before the fire, post = season the year after the fire
+// oneYear: pre and post = oneYearWindowDays centered on the date one year before and after the fire
+function getBurnSeverityDateWindows(fireDate, args) {
+  fireDate = ee.Date(fireDate);
+  var fireYear = fireDate.get("year");
+  var wrapOffset = 0;
+  if (args.startJulian > args.endJulian) {
+    wrapOffset = 365;
+  }
+  function getSeason(year) {
+    return [
+      ee.Date.fromYMD(year, 1, 1).advance(args.startJulian - 1, "day"),
+      ee.Date.fromYMD(year, 1, 1).advance(
+        args.endJulian - 1 + wrapOffset,
+        "day"
+      ),
+    ];
+  }
+  var halfWindow = args.oneYearWindowDays / 2;
+
+  var windows;
+  if (args.assessmentType === "initial") {
+    windows = {
+      pre: getSeason(fireYear.subtract(1)),
+      post: [
+        fireDate.advance(1, "day"),
+        fireDate.advance(args.initialPostDays, "day"),
+      ],
+    };
+  } else if (args.assessmentType === "extended") {
+    windows = {
+      pre: getSeason(fireYear.subtract(1)),
+      post: getSeason(fireYear.add(1)),
+    };
+  } else if (args.assessmentType === "oneYear") {
+    windows = {
+      pre: [
+        fireDate.advance(-1, "year").advance(-halfWindow, "day"),
+        fireDate.advance(-1, "year").advance(halfWindow, "day"),
+      ],
+      post: [
+        fireDate.advance(1, "year").advance(-halfWindow, "day"),
+        fireDate.advance(1, "year").advance(halfWindow, "day"),
+      ],
+    };
+  } else {
+    throw new Error(
+      "getBurnSeverityDateWindows: unknown assessmentType " +
+        args.assessmentType +
+        ". Options are: initial, extended, oneYear"
+    );
+  }
+  return windows;
+}
+
+// Function to classify a burn severity metric into MTBS-style severity classes
+function classifyBurnSeverity(metric, thresholds) {
+  var severity = ee
+    .Image(burnSeverityClassDict.unburnedToLow)
+    .where(metric.gte(thresholds.low), burnSeverityClassDict.low)
+    .where(metric.gte(thresholds.moderate), burnSeverityClassDict.moderate)
+    .where(metric.gte(thresholds.high), burnSeverityClassDict.high);
+  if (
+    thresholds.increasedGreenness !== undefined &&
+    thresholds.increasedGreenness !== null
+  ) {
+    severity = severity.where(
+      metric.lt(thresholds.increasedGreenness),
+      burnSeverityClassDict.increasedGreenness
+    );
+  }
+  return severity.updateMask(metric.mask()).byte().rename(["burnSeverity"]);
+}
+
+// Function to compute the burn severity image for a single fire
+function getFireBurnSeverity(scenes, perimeter, fireDate, args) {
+  perimeter = ee.Geometry(perimeter);
+  var windows = getBurnSeverityDateWindows(fireDate, args);
+  var analysisArea = perimeter.buffer(args.offsetBufferDistance, 1);
+  var bands = ["nir", "swir1", "swir2"];
+  var fireScenes = scenes.filterBounds(analysisArea).select(bands);
+
+  function getComposite(window) {
+    var composite = fireScenes
+      .filterDate(window[0], window[1].advance(1, "day"))
+      .reduce(args.compositingReducer)
+      .rename(bands);
+    return addIndicesFromCatalog(composite, ["NBR", "NBR2"]);
+  }
+  var pre = getComposite(windows.pre);
+  var post = getComposite(windows.post);
+
+  var preNBR = pre.select(["NBR"]).multiply(1000).rename(["preNBR"]);
+  var postNBR = post.select(["NBR"]).multiply(1000).rename(["postNBR"]);
+  var dNBR = preNBR.subtract(postNBR).rename(["dNBR"]);
+  var dNBR2 = pre
+    .select(["NBR2"])
+    .subtract(post.select(["NBR2"]))
+    .multiply(1000)
+    .rename(["dNBR2"]);
+
+  // Find the dNBR offset from unburned pixels
+  // Defaults to the ring between the perimeter and offsetBufferDistance outside of it
+  var dNBROffset = ee.Number(0);
+  if (args.applyOffset) {
+    var offsetReference;
+    if (args.offsetReference === null || args.offsetReference === undefined) {
+      offsetReference = analysisArea.difference(perimeter, 1);
+    } else {
+      offsetReference = ee.FeatureCollection(args.offsetReference).geometry();
+    }
+    var offset = dNBR
+      .reduceRegion(
+        ee.Reducer.mean(),
+        offsetReference,
+        args.scale,
+        args.crs,
+        null,
+        true,
+        1e13,
+        4
+      )
+      .get("dNBR");
+    dNBROffset = ee.Number(ee.Algorithms.If(offset, offset, 0));
+  }
+  var dNBROffsetImage = ee.Image.constant(dNBROffset);
+
+  var dNBRAdjusted = dNBR.subtract(dNBROffsetImage);
+  var RdNBR = dNBRAdjusted
+    .divide(preNBR.divide(1000).abs().sqrt())
+    .rename(["RdNBR"]);
+  var RBR = dNBRAdjusted.divide(preNBR.divide(1000).add(1.001)).rename(["RBR"]);
+  dNBRAdjusted = dNBRAdjusted.rename(["dNBR"]);
+
+  var metrics = ee.Image.cat([
+    preNBR,
+    postNBR,
+    dNBRAdjusted,
+    RdNBR,
+    RBR,
+    dNBR2,
+  ]).float();
+  var severity = classifyBurnSeverity(
+    metrics.select([args.severityMetric]),
+    args.severityThresholds
+  );
+
+  return metrics
+    .addBands(severity)
+    .clip(analysisArea)
+    .set({
+      "system:time_start": ee.Date(fireDate).millis(),
+      dNBROffset: dNBROffset,
+      preStartDate: windows.pre[0].millis(),
+      preEndDate: windows.pre[1].millis(),
+      postStartDate: windows.post[0].millis(),
+      postEndDate: windows.post[1].millis(),
+      preSceneCount: fireScenes
+        .filterDate(windows.pre[0], windows.pre[1].advance(1, "day"))
+        .size(),
+      postSceneCount: fireScenes
+        .filterDate(windows.post[0], windows.post[1].advance(1, "day"))
+        .size(),
+      assessmentType: args.assessmentType,
+      severityMetric: args.severityMetric,
+    });
+}
+
+// Function to summarize a burn severity image within a fire perimeter
+// Adds the mean of each metric and the area (hectares) of each severity class
+function summarizeBurnSeverity(severityImage, perimeter, args) {
+  var metricNames = ["dNBR", "RdNBR", "RBR", "dNBR2"];
+  var means = severityImage
+    .select(metricNames)
+    .reduceRegion(
+      ee.Reducer.mean(),
+      perimeter,
+      args.scale,
+      args.crs,
+      null,
+      true,
+      1e13,
+      4
+    )
+    .rename(
+      metricNames,
+      metricNames.map(function (n) {
+        return n + "_mean";
+      })
+    );
+
+  var severity = severityImage.select(["burnSeverity"]);
+  var classNames = Object.keys(burnSeverityClassDict);
+  var areaImage = ee.Image.cat(
+    classNames.map(function (className) {
+      return ee.Image.pixelArea()
+        .divide(10000)
+        .updateMask(severity.eq(burnSeverityClassDict[className]))
+        .rename([className + "_ha"]);
+    })
+  );
+  var areas = areaImage.reduceRegion(
+    ee.Reducer.sum(),
+    perimeter,
+    args.scale,
+    args.crs,
+    null,
+    true,
+    1e13,
+    4
+  );
+  return means
+    .combine(areas)
+    .combine(
+      severityImage.toDictionary([
+        "dNBROffset",
+        "preSceneCount",
+        "postSceneCount",
+        "assessmentType",
+        "severityMetric",
+      ])
+    );
+}
+
+// Wrapper function to get burn severity for one or more fires
+// Provide either fires (a featureCollection of fire perimeters with a fire date property)
+// or a fireDate and studyArea for a single fire
+// scenes should be the output of getProcessedLandsatScenes, getProcessedSentinel2Scenes, or
+// getProcessedLandsatAndSentinel2Scenes covering the pre and post-fire windows of all fires
+// Returns the args object with burnSeverity (an imageCollection with one image per fire) and
+// burnSeveritySummaries (a featureCollection of the fire perimeters with summary statistics)
+var burnSeverityWrapperArgSchema = {
+  scenes: { type: "ee", required: true },
+  fires: { type: "ee" },
+  fireDate: { type: ["string", "number", "ee"] },
+  studyArea: { type: "ee" },
+  fireDateProperty: { type: "string" },
+  fireIdProperty: { type: "string" },
+  assessmentType: {
+    type: "string",
+    values: ["initial", "extended", "oneYear"],
+  },
+  startJulian: { type: "number" },
+  endJulian: { type: "number" },
+  initialPostDays: { type: "number" },
+  oneYearWindowDays: { type: "number" },
+  compositingReducer: { type: "ee" },
+  applyOffset: { type: "boolean" },
+  offsetReference: { type: "ee" },
+  offsetBufferDistance: { type: "number" },
+  severityMetric: { type: "string", values: ["dNBR", "RdNBR", "RBR", "dNBR2"] },
+  severityThresholds: { type: "object" },
+  scale: { type: "number" },
+  crs: { type: "string" },
+};
+function getBurnSeverityWrapper() {
+  var defaultArgs = {
+    scenes: null,
+    fires: null,
+    fireDate: null,
+    studyArea: null,
+    fireDateProperty: "Ig_Date",
+    fireIdProperty: "Event_ID",
+    assessmentType: "extended",
+    startJulian: 152,
+    endJulian: 273,
+    initialPostDays: 60,
+    oneYearWindowDays: 60,
+    compositingReducer: ee.Reducer.median(),
+    applyOffset: true,
+    offsetReference: null,
+    offsetBufferDistance: 1000,
+    severityMetric: "dNBR",
+    severityThresholds: null,
+    scale: 30,
+    crs: "EPSG:5070",
+  };
+
+  var args = prepArgumentsObject(
+    arguments,
+    defaultArgs,
+    burnSeverityWrapperArgSchema,
+    "getBurnSeverityWrapper"
+  );
+  args.origin = "BurnSeverity";
+  if (args.severityThresholds === null) {
+    args.severityThresholds = burnSeverityThresholdDict[args.severityMetric];
+  }
+  //There are no standard thresholds for some metrics (e.g. dNBR2), so they must be provided
+  if (args.severityThresholds === undefined) {
+    throw new Error(
+      "getBurnSeverityWrapper: no severityThresholds for severityMetric " +
+        args.severityMetric +
+        ". Provide severityThresholds or use one of: " +
+        Object.keys(burnSeverityThresholdDict).join(", ")
+    );
+  }
+
+  // Set up a single fire if no fire perimeters are provided
+  var fires = args.fires;
+  if (fires === null) {
+    var fireProps = {};
+    fireProps[args.fireDateProperty] = ee.Date(args.fireDate).millis();
+    fireProps[args.fireIdProperty] = "fire";
+    fires = ee.FeatureCollection([
+      ee.Feature(ee.FeatureCollection(args.studyArea).geometry(), fireProps),
+    ]);
+  }
+  fires = ee.FeatureCollection(fires);
+
+  function getFire(f) {
+    f = ee.Feature(f);
+    return getFireBurnSeverity(
+      args.scenes,
+      f.geometry(),
+      ee.Date(f.get(args.fireDateProperty)),
+      args
+    ).set("fireId", f.get(args.fireIdProperty));
+  }
+
+  args.burnSeverity = ee.ImageCollection(fires.map(getFire));
+  args.burnSeveritySummaries = fires.map(function (f) {
+    return f.set(summarizeBurnSeverity(getFire(f), f.geometry(), args));
+  });
+  return args;
+}
 // End Functions
 ////////////////////////////////////////////////////////////////////////////////////////////////////
 //Jeff Ho Method for algal bloom detection
@@ -5918,6 +11037,28 @@ exports.getObjType = getObjType;
 exports.eeObjServerSide = eeObjServerSide;
 exports.sieve = sieve;
 exports.setNoData = setNoData;
+exports.argumentValidationLevels = argumentValidationLevels;
+exports.setArgumentValidationLevel = setArgumentValidationLevel;
+exports.validateArguments = validateArguments;
+exports.markArgumentsPrepped = markArgumentsPrepped;
+exports.sceneArgSchema = sceneArgSchema;
+exports.compositeWrapperArgSchema = compositeWrapperArgSchema;
+exports.sentinel1SceneArgSchema = sentinel1SceneArgSchema;
+exports.sentinel1WrapperArgSchema = sentinel1WrapperArgSchema;
+exports.exportCompositeCollectionArgSchema = exportCompositeCollectionArgSchema;
+exports.phenologyWrapperArgSchema = phenologyWrapperArgSchema;
+exports.climateWrapperArgSchema = climateWrapperArgSchema;
+exports.burnSeverityWrapperArgSchema = burnSeverityWrapperArgSchema;
+exports.defaultBandEncoding = defaultBandEncoding;
+exports.encodingDataTypes = encodingDataTypes;
+exports.normalizeEncodingSchema = normalizeEncodingSchema;
+exports.getScaledEncodingSchema = getScaledEncodingSchema;
+exports.resolveBandEncodings = resolveBandEncodings;
+exports.getEncodingImage = getEncodingImage;
+exports.setEncodingSchema = setEncodingSchema;
+exports.encodeImage = encodeImage;
+exports.decodeImage = decodeImage;
+exports.decodeCollection = decodeCollection;
 exports.addSensorBand = addSensorBand;
 exports.addJulianDayBand = addJulianDayBand;
 exports.addYearYearFractionBand = addYearYearFractionBand;
@@ -5934,6 +11075,14 @@ exports.getS2 = getS2;
 exports.getSentinel2 = getSentinel2;
 exports.getS1 = getS1;
 exports.RefinedLee = RefinedLee;
+exports.s1BorderNoiseMask = s1BorderNoiseMask;
+exports.boxcarFilter = boxcarFilter;
+exports.gammaMapFilter = gammaMapFilter;
+exports.s1SpeckleFilter = s1SpeckleFilter;
+exports.s1TerrainFlatten = s1TerrainFlatten;
+exports.addS1Ratios = addS1Ratios;
+exports.getProcessedSentinel1Scenes = getProcessedSentinel1Scenes;
+exports.getSentinel1Wrapper = getSentinel1Wrapper;
 exports.vizParamsFalse = vizParamsFalse;
 exports.vizParamsTrue = vizParamsTrue;
 exports.vizParamsFalse10k = vizParamsFalse10k;
@@ -5946,14 +11095,49 @@ exports.projectShadowsWrapper = projectShadowsWrapper;
 exports.applyCloudScoreAlgorithm = applyCloudScoreAlgorithm;
 exports.cFmask = cFmask;
 exports.applyBitMask = applyBitMask;
+exports.qaBitSpecDict = qaBitSpecDict;
+exports.landsatQASpecDict = landsatQASpecDict;
+exports.decodeQABits = decodeQABits;
+exports.applyQAMask = applyQAMask;
+exports.maskReasonBitDict = maskReasonBitDict;
+exports.initMaskReason = initMaskReason;
+exports.updateMaskReason = updateMaskReason;
+exports.getMaskReasonCounts = getMaskReasonCounts;
+exports.getMaskReasonCountBandNames = getMaskReasonCountBandNames;
+exports.maskS2clouds = maskS2clouds;
+exports.maskCloudsWQA = maskCloudsWQA;
 exports.simpleTDOM2 = simpleTDOM2;
+exports.getCloudScoreTDOMStats = getCloudScoreTDOMStats;
+exports.exportCloudScoreTDOMStats = exportCloudScoreTDOMStats;
+exports.loadCloudScoreTDOMStats = loadCloudScoreTDOMStats;
 exports.medoidMosaicMSD = medoidMosaicMSD;
+exports.bapDefaultParams = bapDefaultParams;
+exports.getBAPParams = getBAPParams;
+exports.bapMosaic = bapMosaic;
+exports.getWeightedWindowCollection = getWeightedWindowCollection;
+exports.getCompositeByMethod = getCompositeByMethod;
+exports.geometricMedianMosaic = geometricMedianMosaic;
+exports.compositeMethodBandDict = compositeMethodBandDict;
+exports.compositeNonDivideBandNames = compositeNonDivideBandNames;
+exports.getCompositeMethodBandNames = getCompositeMethodBandNames;
+exports.getCompositeNonDivideBandNames = getCompositeNonDivideBandNames;
 exports.addIndices = addIndices;
 exports.addSAVIandEVI = addSAVIandEVI;
 exports.simpleAddIndices = simpleAddIndices;
+exports.addS2RedEdgeIndices = addS2RedEdgeIndices;
+exports.indexCatalog = indexCatalog;
+exports.bandChangeDirDict = bandChangeDirDict;
+exports.addIndicesFromCatalog = addIndicesFromCatalog;
+exports.registerIndex = registerIndex;
+exports.getChangeDirection = getChangeDirection;
 exports.getTasseledCap = getTasseledCap;
 exports.simpleGetTasseledCap = simpleGetTasseledCap;
+exports.tcCoeffDict = tcCoeffDict;
+exports.tcSensorCoeffKeyDict = tcSensorCoeffKeyDict;
+exports.getTasseledCapCoeffKey = getTasseledCapCoeffKey;
 exports.simpleAddTCAngles = simpleAddTCAngles;
+exports.smaEndmemberDict = smaEndmemberDict;
+exports.addSMAFractions = addSMAFractions;
 exports.compositeTimeSeries = compositeTimeSeries;
 exports.addZenithAzimuth = addZenithAzimuth;
 exports.illuminationCorrection = illuminationCorrection;
@@ -5980,10 +11164,37 @@ exports.getLandsatAndSentinel2HybridWrapper =
 exports.getModisData = getModisData;
 exports.modisCloudScore = modisCloudScore;
 exports.despikeCollection = despikeCollection;
+exports.despikeCollectionJoin = despikeCollectionJoin;
+exports.smoothingMethods = smoothingMethods;
+exports.getRegularTimeGrid = getRegularTimeGrid;
+exports.whittakerSmooth = whittakerSmooth;
+exports.savitzkyGolaySmooth = savitzkyGolaySmooth;
+exports.applyUpperEnvelope = applyUpperEnvelope;
+exports.getSmoothedAtObservations = getSmoothedAtObservations;
+exports.smoothTimeSeries = smoothTimeSeries;
 exports.exportToAssetWrapper = exportToAssetWrapper;
 exports.exportToAssetWrapper2 = exportToAssetWrapper2;
 exports.exportToDriveWrapper = exportToDriveWrapper;
 exports.exportToCloudStorageWrapper = exportToCloudStorageWrapper;
+exports.exportDestinations = exportDestinations;
+exports.fillExportNameTemplate = fillExportNameTemplate;
+exports.getExportTiles = getExportTiles;
+exports.exportImage = exportImage;
+exports.libraryVersion = libraryVersion;
+exports.manifestWrapperDict = manifestWrapperDict;
+exports.toCanonicalValue = toCanonicalValue;
+exports.fromCanonicalValue = fromCanonicalValue;
+exports.hashString = hashString;
+exports.getInputCollectionIds = getInputCollectionIds;
+exports.getCompositeDateWindow = getCompositeDateWindow;
+exports.getExportManifest = getExportManifest;
+exports.getFlatArgsProperties = getFlatArgsProperties;
+exports.getManifestProperties = getManifestProperties;
+exports.exportManifestTable = exportManifestTable;
+exports.getWrapperCallFromManifest = getWrapperCallFromManifest;
+exports.runWrapperFromManifest = runWrapperFromManifest;
+exports.getProcessingGrid = getProcessingGrid;
+exports.batchRunTiles = batchRunTiles;
 exports.exportCollection = exportCollection;
 exports.joinCollections = joinCollections;
 exports.smartJoin = smartJoin;
@@ -5994,8 +11205,28 @@ exports.harmonizationRoy = harmonizationRoy;
 exports.harmonizationChastain = harmonizationChastain;
 exports.fillEmptyCollections = fillEmptyCollections;
 exports.nDayComposites = nDayComposites;
+exports.temporalBinComposites = temporalBinComposites;
+exports.stmMetricNames = stmMetricNames;
+exports.getSTMBandNames = getSTMBandNames;
+exports.getSTMImage = getSTMImage;
+exports.getSpectralTemporalMetrics = getSpectralTemporalMetrics;
 exports.getHarmonicCoefficientsAndFit = getHarmonicCoefficientsAndFit;
+exports.getHarmonicCoefficientsTimeSeries = getHarmonicCoefficientsTimeSeries;
+exports.harmonicFitModes = harmonicFitModes;
+exports.harmonicFitDefaultParams = harmonicFitDefaultParams;
+exports.getBandWeightFunction = getBandWeightFunction;
+exports.getSensorWeightFunction = getSensorWeightFunction;
+exports.getCloudDistanceWeightFunction = getCloudDistanceWeightFunction;
+exports.fitHarmonicRegression = fitHarmonicRegression;
+exports.harmonicFitStatNames = harmonicFitStatNames;
+exports.getHarmonicFitStats = getHarmonicFitStats;
+exports.maskHarmonicCoefficients = maskHarmonicCoefficients;
 exports.getPhaseAmplitudePeak = getPhaseAmplitudePeak;
+exports.phenologyMethodDict = phenologyMethodDict;
+exports.phenologyMetricNames = phenologyMetricNames;
+exports.getPhenologyBandNames = getPhenologyBandNames;
+exports.getPhenologyMetrics = getPhenologyMetrics;
+exports.getPhenologyWrapper = getPhenologyWrapper;
 exports.getAreaUnderCurve = getAreaUnderCurve;
 exports.synthImage = synthImage;
 
@@ -6010,6 +11241,10 @@ exports.compositeDates = compositeDates;
 exports.defringeLandsat = defringeLandsat;
 
 exports.simpleWaterMask = simpleWaterMask;
+exports.burnSeverityThresholdDict = burnSeverityThresholdDict;
+exports.burnSeverityClassDict = burnSeverityClassDict;
+exports.classifyBurnSeverity = classifyBurnSeverity;
+exports.getBurnSeverityWrapper = getBurnSeverityWrapper;
 exports.common_projections = common_projections;
 exports.testAreas = {};
 (exports.testAreas.CO =